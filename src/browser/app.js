@@ -3,7 +3,11 @@
  * Handles UI interactions and coordinates conversion
  */
 
-import { convertV1ToV2 } from "../core/converter.js";
+import { convertV1ToV2WithReport } from "../core/converter.js";
+import { normalizeV1Input } from "../core/input-normalizer.js";
+import { serializeV2, canonicalizeV2 } from "../core/v2-serializer.js";
+import { lintV2 } from "../core/v2-linter.js";
+import { auditAccessibility } from "../core/accessibility-audit.js";
 import { validateV2 } from "./validator.js";
 import {
   fetchStyles,
@@ -178,6 +182,14 @@ const validationStatus = getElement("validation-status");
 const validationErrors = getElement("validation-errors");
 const validationErrorsContent = getElement("validation-errors-content");
 const closeValidationErrors = getElement("close-validation-errors");
+const reportBtn = getElement("report-btn");
+const conversionReport = getElement("conversion-report");
+const conversionReportContent = getElement("conversion-report-content");
+const closeConversionReport = getElement("close-conversion-report");
+const accessibilityBtn = getElement("accessibility-btn");
+const accessibilityAudit = getElement("accessibility-audit");
+const accessibilityAuditContent = getElement("accessibility-audit-content");
+const closeAccessibilityAudit = getElement("close-accessibility-audit");
 const instructionsToggle = getElement("instructions-toggle");
 const instructionsContent = getElement("instructions-content");
 const instructionsToggleIcon = getElement("instructions-toggle-icon");
@@ -191,6 +203,10 @@ function initializeApp(v1Input, v2Output) {
   downloadBtn?.addEventListener("click", handleDownload);
   fileInput?.addEventListener("change", handleFileUpload);
   closeValidationErrors?.addEventListener("click", hideValidationErrors);
+  reportBtn?.addEventListener("click", toggleConversionReport);
+  closeConversionReport?.addEventListener("click", hideConversionReport);
+  accessibilityBtn?.addEventListener("click", toggleAccessibilityAudit);
+  closeAccessibilityAudit?.addEventListener("click", hideAccessibilityAudit);
   
   // Initialize instructions toggle
   instructionsToggle?.addEventListener("click", () => {
@@ -725,27 +741,45 @@ function initializeApp(v1Input, v2Output) {
 
     try {
       // Convert V1 to V2
-      const v2Result = convertV1ToV2(input);
+      const { result, report } = convertV1ToV2WithReport(input);
+      // Validation paths and lint indices refer to the displayed (canonical) order
+      const v2Result = canonicalizeV2(result);
       currentV2Output = v2Result;
+      renderConversionReport(report);
+      renderAccessibilityAudit(auditAccessibility(v2Result));
 
       // Format and display output
-      const formatted = JSON.stringify(v2Result, null, 2);
+      const formatted = serializeV2(v2Result);
       v2Output.setValue(formatted);
 
-      // Validate output
+      // Validate and lint output
       const validation = await validateV2(v2Result);
-      if (validation.valid) {
-        updateValidationStatus("valid", "Valid ✓");
-        hideValidationErrors();
-      } else {
+      const lint = lintV2(v2Result);
+      if (!validation.valid) {
         updateValidationStatus("invalid", "Invalid ✗");
-        showValidationErrors(validation.errors, v2Result);
+        showValidationErrors(validation.errors, v2Result, lint.problems);
         console.warn("Validation errors:", validation.errors);
+      } else if (lint.errorCount > 0) {
+        updateValidationStatus("invalid", "Lint errors ✗");
+        showValidationErrors([], v2Result, lint.problems);
+      } else if (lint.warningCount > 0) {
+        updateValidationStatus(
+          "pending",
+          `Valid, ${lint.warningCount} warning${
+            lint.warningCount !== 1 ? "s" : ""
+          }`
+        );
+        showValidationErrors([], v2Result, lint.problems);
+      } else {
+        updateValidationStatus("valid", "Valid ✓");
+        hideValidationErrors();
       }
     } catch (error) {
       showError(`Conversion error: ${error.message}`);
       v2Output.setValue("");
       currentV2Output = null;
+      renderConversionReport(null);
+      renderAccessibilityAudit(null);
       updateValidationStatus("invalid", "Error");
     } finally {
       showLoading(false);
@@ -763,12 +797,12 @@ function initializeApp(v1Input, v2Output) {
     reader.onload = (e) => {
       try {
         const content = e.target.result;
-        // Try to parse as JSON to validate
-        JSON.parse(content);
+        // Check the file holds V1 styles (JSON, a wrapper object or a JS snippet)
+        normalizeV1Input(content);
         v1Input.setValue(content);
         hideError();
       } catch (error) {
-        showError(`Invalid JSON file: ${error.message}`);
+        showError(`Invalid V1 style file: ${error.message}`);
       }
     };
     reader.onerror = () => {
@@ -923,7 +957,7 @@ function initializeApp(v1Input, v2Output) {
       return;
     }
 
-    const json = JSON.stringify(currentV2Output, null, 2);
+    const json = serializeV2(currentV2Output);
     const blob = new Blob([json], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
@@ -977,10 +1011,10 @@ function initializeApp(v1Input, v2Output) {
   };
 
   /**
-   * Shows detailed validation errors
+   * Shows detailed validation errors and lint problems
    */
-  function showValidationErrors(errors, v2Result) {
-    if (!errors || errors.length === 0) {
+  function showValidationErrors(errors, v2Result, lintProblems = []) {
+    if ((!errors || errors.length === 0) && lintProblems.length === 0) {
       hideValidationErrors();
       return;
     }
@@ -996,11 +1030,14 @@ function initializeApp(v1Input, v2Output) {
     });
 
     // Build detailed error display
-    let html = `<div class="mb-4 p-3 bg-yellow-100/50 rounded-md text-yellow-800 font-medium">
+    let html = "";
+    if (errors.length > 0) {
+      html += `<div class="mb-4 p-3 bg-yellow-100/50 rounded-md text-yellow-800 font-medium">
       <p><strong>${errors.length} validation error${
-      errors.length !== 1 ? "s" : ""
-    } found</strong></p>
+        errors.length !== 1 ? "s" : ""
+      } found</strong></p>
     </div>`;
+    }
 
     // Show errors grouped by path
     Object.entries(errorsByPath).forEach(([path, pathErrors]) => {
@@ -1077,6 +1114,8 @@ function initializeApp(v1Input, v2Output) {
       }
     }
 
+    html += renderLintProblems(lintProblems);
+
     validationErrorsContent.innerHTML = html;
     validationErrors.classList.remove("hidden");
 
@@ -1084,10 +1123,249 @@ function initializeApp(v1Input, v2Output) {
     validationErrors.scrollIntoView({ behavior: "smooth", block: "nearest" });
   }
 
+  /**
+   * Renders lint problems for the validation panel
+   * @param {Object[]} problems - Lint problems (see lintV2)
+   * @returns {string} HTML, empty when there are no problems
+   */
+  const renderLintProblems = (problems) => {
+    if (problems.length === 0) return "";
+
+    let html = `<div class="mb-4 p-3 bg-yellow-100/50 rounded-md text-yellow-800 font-medium">
+      <p><strong>${problems.length} lint problem${
+        problems.length !== 1 ? "s" : ""
+      } found</strong></p>
+    </div>`;
+
+    for (const { rule, severity, message, id, index } of problems) {
+      const border =
+        severity === "error" ? "border-destructive" : "border-yellow-500";
+      html += `<div class="mb-3 p-3 bg-background rounded-md border-l-4 ${border}">`;
+      html += `<div class="mb-1 font-medium text-foreground">${escapeHtml(
+        message
+      )}</div>`;
+      html += `<div class="text-muted-foreground text-xs">${escapeHtml(
+        severity
+      )} · ${escapeHtml(rule)}${
+        index === undefined
+          ? ""
+          : ` · Style #${index}${id ? `: <code class="font-mono">${escapeHtml(id)}</code>` : ""}`
+      }</div>`;
+      html += `</div>`;
+    }
+
+    return html;
+  };
+
   function hideValidationErrors() {
     validationErrors?.classList.add("hidden");
   }
 
+  /**
+   * Escapes text for insertion into HTML
+   * @param {*} value - Value to escape (converted to string)
+   * @returns {string} Escaped text
+   */
+  const escapeHtml = (value) =>
+    String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+
+  const DROP_REASON_LABELS = {
+    unsupportedStyler: "Unsupported styler",
+    invalidRule: "Invalid rule",
+    unmappedFeatureType: "Unmapped featureType",
+    unmappedElementType: "Unmapped elementType",
+    invalidColor: "Unrecognized color",
+    invalidGeometryProperty: "Geometry property not supported by feature",
+    invalidLabelProperty: "Label property not supported by feature",
+    borderPrecedence:
+      "Province border overridden (country borders take precedence)",
+    removedByCleanup: "Removed by cleanup",
+  };
+
+  /**
+   * Renders the conversion report, one block per V1 rule
+   * @param {Object|null} report - Conversion report from convertV1ToV2WithReport
+   */
+  function renderConversionReport(report) {
+    if (!conversionReportContent) return;
+
+    if (!report || report.rules.length === 0) {
+      conversionReportContent.innerHTML = "";
+      reportBtn?.classList.add("hidden");
+      hideConversionReport();
+      return;
+    }
+
+    let html = "";
+    report.rules.forEach((rule) => {
+      const title = [rule.featureType ?? "all", rule.elementType ?? "all"]
+        .map(
+          (part) =>
+            `<code class="bg-muted px-2 py-1 rounded text-sm font-mono">${escapeHtml(
+              part
+            )}</code>`
+        )
+        .join(" ");
+
+      html += `<div class="mb-4 p-4 bg-background rounded-md border-l-4 border-blue-500">`;
+      html += `<div class="mb-3 font-semibold text-foreground">Rule #${rule.index}: ${title}</div>`;
+
+      if (rule.written.length > 0) {
+        html += `<div class="mb-2"><strong>Wrote ${rule.written.length} propert${
+          rule.written.length !== 1 ? "ies" : "y"
+        }:</strong></div><ul class="mb-3 pl-4 list-disc font-mono text-xs break-all">`;
+        rule.written.forEach(({ id, property, value }) => {
+          html += `<li>${escapeHtml(id)} ${escapeHtml(property)} = ${escapeHtml(
+            JSON.stringify(value)
+          )}</li>`;
+        });
+        html += `</ul>`;
+      }
+
+      if (rule.overridden.length > 0) {
+        html += `<div class="mb-2"><strong>Overridden by later rules:</strong></div><ul class="mb-3 pl-4 list-disc font-mono text-xs break-all">`;
+        rule.overridden.forEach(({ id, property, value, by }) => {
+          html += `<li>${escapeHtml(id)} ${escapeHtml(property)} = ${escapeHtml(
+            JSON.stringify(value)
+          )} (rule #${by})</li>`;
+        });
+        html += `</ul>`;
+      }
+
+      if (rule.dropped.length > 0) {
+        html += `<div class="mb-2 text-yellow-200"><strong>Dropped:</strong></div><ul class="mb-3 pl-4 list-disc text-xs break-all">`;
+        rule.dropped.forEach(({ reason, styler, property, ids }) => {
+          const subject = [styler, property]
+            .filter(Boolean)
+            .map(escapeHtml)
+            .join(" → ");
+          html += `<li>${DROP_REASON_LABELS[reason] ?? escapeHtml(reason)}${
+            subject ? `: <code class="font-mono">${subject}</code>` : ""
+          }${ids ? ` (${ids.map(escapeHtml).join(", ")})` : ""}</li>`;
+        });
+        html += `</ul>`;
+      }
+
+      if (
+        rule.written.length === 0 &&
+        rule.overridden.length === 0 &&
+        rule.dropped.length === 0
+      ) {
+        html += `<div class="text-muted-foreground text-xs">No changes</div>`;
+      }
+
+      html += `</div>`;
+    });
+
+    conversionReportContent.innerHTML = html;
+    reportBtn?.classList.remove("hidden");
+  }
+
+  function toggleConversionReport() {
+    if (!conversionReport?.classList.contains("hidden")) {
+      hideConversionReport();
+    } else if (conversionReportContent?.innerHTML.trim()) {
+      conversionReport.classList.remove("hidden");
+      conversionReport.scrollIntoView({ behavior: "smooth", block: "nearest" });
+    }
+  }
+
+  function hideConversionReport() {
+    conversionReport?.classList.add("hidden");
+  }
+
+  /**
+   * Renders a color swatch for the accessibility audit
+   * @param {string} color - Hex color
+   * @returns {string} HTML
+   */
+  const renderSwatch = (color) =>
+    `<span class="inline-block w-3 h-3 mr-1 align-middle rounded-sm border border-white/30" style="background:${escapeHtml(
+      color
+    )}"></span><code class="font-mono">${escapeHtml(color)}</code>`;
+
+  /**
+   * Renders the accessibility audit: label contrast, then color vision findings
+   * @param {Object|null} audit - Audit from auditAccessibility
+   */
+  function renderAccessibilityAudit(audit) {
+    if (!accessibilityAuditContent) return;
+
+    if (!audit) {
+      accessibilityAuditContent.innerHTML = "";
+      accessibilityBtn?.classList.add("hidden");
+      hideAccessibilityAudit();
+      return;
+    }
+
+    const { contrast, colorVision, summary } = audit;
+    let html = `<div class="mb-4 p-3 bg-purple-100/10 rounded-md font-medium">
+      <p><strong>${summary.contrastFailures} of ${
+      summary.contrastChecks
+    } label contrast checks below WCAG AA; ${
+      summary.indistinguishablePairs
+    } color pair${
+      summary.indistinguishablePairs !== 1 ? "s" : ""
+    } indistinguishable with color vision deficiencies</strong></p>
+    </div>`;
+
+    html += `<div class="mb-4 p-4 bg-background rounded-md border-l-4 border-purple-500">`;
+    html += `<div class="mb-3 font-semibold text-foreground">Label contrast</div><ul class="pl-4 list-disc text-xs break-all">`;
+    contrast.forEach(
+      ({ surface, labelId, property, foreground, background, ratio, passes, zoom }) => {
+        html += `<li class="mb-1${passes ? "" : " text-yellow-200"}">${escapeHtml(
+          labelId
+        )} ${escapeHtml(property)}${
+          zoom ? ` at ${escapeHtml(zoom)}` : ""
+        } ${renderSwatch(foreground)} on ${escapeHtml(
+          surface
+        )} ${renderSwatch(background)}: <strong>${ratio}:1</strong>${
+          passes ? "" : " (below AA)"
+        }</li>`;
+      }
+    );
+    html += `</ul></div>`;
+
+    if (colorVision.length > 0) {
+      html += `<div class="mb-4 p-4 bg-background rounded-md border-l-4 border-purple-500">`;
+      html += `<div class="mb-3 font-semibold text-foreground">Indistinguishable with color vision deficiencies</div><ul class="pl-4 list-disc text-xs break-all">`;
+      colorVision.forEach(({ deficiency, first, second }) => {
+        html += `<li class="mb-1"><strong>${escapeHtml(
+          deficiency
+        )}</strong>: ${escapeHtml(first.id)} ${escapeHtml(
+          first.property
+        )} ${renderSwatch(first.color)} → ${renderSwatch(
+          first.simulated
+        )} vs ${escapeHtml(second.id)} ${escapeHtml(
+          second.property
+        )} ${renderSwatch(second.color)} → ${renderSwatch(
+          second.simulated
+        )}</li>`;
+      });
+      html += `</ul></div>`;
+    }
+
+    accessibilityAuditContent.innerHTML = html;
+    accessibilityBtn?.classList.remove("hidden");
+  }
+
+  function toggleAccessibilityAudit() {
+    if (!accessibilityAudit?.classList.contains("hidden")) {
+      hideAccessibilityAudit();
+    } else if (accessibilityAuditContent?.innerHTML.trim()) {
+      accessibilityAudit.classList.remove("hidden");
+      accessibilityAudit.scrollIntoView({ behavior: "smooth", block: "nearest" });
+    }
+  }
+
+  function hideAccessibilityAudit() {
+    accessibilityAudit?.classList.add("hidden");
+  }
+
   const getNestedValue = (obj, path) => {
     if (!path || path === "/") {
       return obj;
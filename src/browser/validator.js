@@ -77,7 +77,13 @@ const initializeValidator = async () => {
     }
   }
 
-  ajvInstance = new AjvConstructor({ allErrors: true, verbose: true });
+  // multipleOfPrecision lets alpha values such as 0.07 pass multipleOf 0.01
+  // despite floating-point division error
+  ajvInstance = new AjvConstructor({
+    allErrors: true,
+    verbose: true,
+    multipleOfPrecision: 8,
+  });
   schema = schemaData;
 };
 
@@ -0,0 +1,326 @@
+/**
+ * Accessibility audit for V2 CBMS styles
+ * Checks the contrast of label text against the map surface it is drawn on
+ * (WCAG contrast ratio) and whether colors that must be told apart become
+ * indistinguishable with protanopia, deuteranopia or tritanopia
+ */
+
+import { materializeStyles } from "./style-materializer.js";
+import {
+  blendColors,
+  getContrastRatio,
+  getColorDifference,
+  simulateColorVisionDeficiency,
+  COLOR_VISION_DEFICIENCIES,
+} from "../utils/color-utils.js";
+
+/**
+ * WCAG AA minimum contrast ratio for normal-size text
+ */
+export const DEFAULT_MIN_CONTRAST = 4.5;
+
+/**
+ * Smallest CIEDE2000 difference at which colors count as distinguishable
+ */
+export const DEFAULT_MIN_COLOR_DIFFERENCE = 10;
+
+/**
+ * Map surfaces and the labels drawn on them
+ * @type {Readonly<Object[]>}
+ */
+const SURFACES = Object.freeze([
+  Object.freeze({
+    surface: "roads",
+    backgroundId: "infrastructure.roadNetwork.road.highway",
+    labelIds: Object.freeze(["infrastructure.roadNetwork.road.highway"]),
+  }),
+  Object.freeze({
+    surface: "roads",
+    backgroundId: "infrastructure.roadNetwork.road.arterial",
+    labelIds: Object.freeze(["infrastructure.roadNetwork.road.arterial"]),
+  }),
+  Object.freeze({
+    surface: "roads",
+    backgroundId: "infrastructure.roadNetwork.road.local",
+    labelIds: Object.freeze(["infrastructure.roadNetwork.road.local"]),
+  }),
+  Object.freeze({
+    surface: "water",
+    backgroundId: "natural.water",
+    labelIds: Object.freeze([
+      "natural.water.ocean",
+      "natural.water.lake",
+      "natural.water.river",
+    ]),
+  }),
+  Object.freeze({
+    surface: "land",
+    backgroundId: "natural.land",
+    labelIds: Object.freeze([
+      "political.city",
+      "political.neighborhood",
+      "pointOfInterest",
+    ]),
+  }),
+  Object.freeze({
+    surface: "parks",
+    backgroundId: "pointOfInterest.recreation.park",
+    labelIds: Object.freeze(["pointOfInterest.recreation.park"]),
+  }),
+]);
+
+const LABEL_COLOR_PROPERTIES = Object.freeze([
+  { property: "textFillColor", opacity: "textFillOpacity" },
+  { property: "textStrokeColor", opacity: "textStrokeOpacity" },
+]);
+
+/**
+ * Checks whether a V2 value is zoom-keyed ({z05: ..., z12: ...})
+ * @param {*} value - V2 property value
+ * @returns {boolean} True if the value is an object of zoom keys
+ */
+const isZoomKeyed = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Gets the zoom keys at which any of the given values changes
+ * @param {...*} values - V2 property values, possibly zoom-keyed
+ * @returns {Array<string|null>} Sorted zoom keys, or [null] if no value is zoom-keyed
+ */
+const getZoomKeys = (...values) => {
+  const keys = [
+    ...new Set(values.filter(isZoomKeyed).flatMap((value) => Object.keys(value))),
+  ].sort();
+  return keys.length > 0 ? keys : [null];
+};
+
+/**
+ * Resolves a possibly zoom-keyed value at a zoom key
+ * A zoom-keyed value holds from its key up to the next one; below its first
+ * key the first value is used
+ * @param {*} value - V2 property value
+ * @param {string|null} zoom - Zoom key (null for values that are not zoom-keyed)
+ * @returns {*} Value at that zoom
+ */
+const resolveAtZoom = (value, zoom) => {
+  if (!isZoomKeyed(value)) return value;
+
+  const keys = Object.keys(value).sort();
+  const key = keys.filter((k) => zoom !== null && k <= zoom).pop() ?? keys[0];
+  return value[key];
+};
+
+/**
+ * Gets the geometry values the surface color of a feature depends on
+ * @param {Object|undefined} style - Materialized V2 style entry
+ * @returns {Array} Visibility and fill color values, possibly zoom-keyed
+ */
+const getSurfaceValues = (style) => [
+  style?.geometry?.visible,
+  style?.geometry?.fillColor ?? style?.geometry?.color,
+];
+
+/**
+ * Gets the fill color a feature's geometry is drawn with at a zoom key
+ * @param {Object|undefined} style - Materialized V2 style entry
+ * @param {string|null} zoom - Zoom key
+ * @returns {string|null} Hex color, or null if the geometry is hidden or has no fill
+ */
+const getSurfaceColor = (style, zoom) => {
+  const [visible, fill] = getSurfaceValues(style);
+  if (!style?.geometry || resolveAtZoom(visible, zoom) === false) return null;
+
+  const color = resolveAtZoom(fill, zoom);
+  return typeof color === "string" ? color : null;
+};
+
+/**
+ * Collects the label/background color pairs of the audited surfaces
+ * Label colors with an opacity below 1 are blended over the background. When
+ * the colors, opacity or visibility are zoom-keyed, there is a pair for each
+ * zoom key at which one of them changes.
+ * @param {Map<string, Object>} stylesById - Materialized styles by feature ID
+ * @returns {Object[]} Pairs {surface, labelId, backgroundId, property, color,
+ * opacity, foreground, background, zoom?}
+ */
+const getLabelPairs = (stylesById) => {
+  const pairs = [];
+
+  for (const { surface, backgroundId, labelIds } of SURFACES) {
+    const backgroundStyle = stylesById.get(backgroundId);
+
+    for (const labelId of labelIds) {
+      const label = stylesById.get(labelId)?.label;
+      if (!label) continue;
+
+      for (const { property, opacity } of LABEL_COLOR_PROPERTIES) {
+        const zooms = getZoomKeys(
+          ...getSurfaceValues(backgroundStyle),
+          label.visible,
+          label[property],
+          label[opacity]
+        );
+
+        for (const zoom of zooms) {
+          const background = getSurfaceColor(backgroundStyle, zoom);
+          const color = resolveAtZoom(label[property], zoom);
+          if (
+            !background ||
+            resolveAtZoom(label.visible, zoom) === false ||
+            typeof color !== "string"
+          ) {
+            continue;
+          }
+
+          const opacityValue = resolveAtZoom(label[opacity], zoom);
+          const alpha = typeof opacityValue === "number" ? opacityValue : 1;
+          pairs.push({
+            surface,
+            labelId,
+            backgroundId,
+            property: `label.${property}`,
+            color,
+            opacity: alpha,
+            foreground: alpha < 1 ? blendColors(color, background, alpha) : color,
+            background,
+            ...(zoom !== null && { zoom }),
+          });
+        }
+      }
+    }
+  }
+  return pairs;
+};
+
+/**
+ * Collects the background color pairs of distinct surfaces
+ * Zoom-keyed colors are compared at each zoom key at which either changes
+ * @param {Map<string, Object>} stylesById - Materialized styles by feature ID
+ * @returns {Array<[Object, Object]>} Color pairs [{id, property, color, zoom?}, ...]
+ */
+const getSurfacePairs = (stylesById) =>
+  SURFACES.flatMap((first, i) =>
+    SURFACES.slice(i + 1)
+      .filter((second) => second.surface !== first.surface)
+      .flatMap((second) => {
+        const firstStyle = stylesById.get(first.backgroundId);
+        const secondStyle = stylesById.get(second.backgroundId);
+        const zooms = getZoomKeys(
+          ...getSurfaceValues(firstStyle),
+          ...getSurfaceValues(secondStyle)
+        );
+
+        return zooms.flatMap((zoom) => {
+          const colors = [
+            getSurfaceColor(firstStyle, zoom),
+            getSurfaceColor(secondStyle, zoom),
+          ];
+          if (colors.includes(null)) return [];
+
+          return [
+            [first.backgroundId, second.backgroundId].map((id, j) => ({
+              id,
+              property: "geometry.fillColor",
+              color: colors[j],
+              ...(zoom !== null && { zoom }),
+            })),
+          ];
+        });
+      })
+  );
+
+/**
+ * Finds color pairs that are distinguishable but become indistinguishable
+ * with a color vision deficiency
+ * @param {Array<[Object, Object]>} pairs - Color pairs [{id, property, color}, ...]
+ * @param {number} minDifference - Smallest distinguishable color difference
+ * @returns {Object[]} Findings {deficiency, first, second, difference, simulatedDifference}
+ */
+const findIndistinguishablePairs = (pairs, minDifference) => {
+  const findings = [];
+
+  for (const [first, second] of pairs) {
+    const difference = getColorDifference(first.color, second.color);
+    if (difference < minDifference) continue;
+
+    for (const deficiency of COLOR_VISION_DEFICIENCIES) {
+      const firstSimulated = simulateColorVisionDeficiency(first.color, deficiency);
+      const secondSimulated = simulateColorVisionDeficiency(second.color, deficiency);
+      const simulatedDifference = getColorDifference(firstSimulated, secondSimulated);
+      if (simulatedDifference >= minDifference) continue;
+
+      findings.push({
+        deficiency,
+        first: { ...first, simulated: firstSimulated },
+        second: { ...second, simulated: secondSimulated },
+        difference: Math.round(difference * 10) / 10,
+        simulatedDifference: Math.round(simulatedDifference * 10) / 10,
+      });
+    }
+  }
+  return findings;
+};
+
+/**
+ * Audits a V2 style for label contrast and color vision deficiencies
+ * Colors are resolved as the map renders them: a feature's own value, then its
+ * parents' values, then the default palette. Contrast is checked for each
+ * label's textFillColor and textStrokeColor against the surface it sits on
+ * (roads, water, land, parks). The color vision check simulates the palette
+ * and reports text/surface pairs and surface/surface pairs that become
+ * indistinguishable (text strokes are halos, usually close to the surface by
+ * design, so they are left out of it). Zoom-keyed values are checked at each
+ * zoom key; those entries carry the key as zoom.
+ * @param {Object} v2Json - V2 style object
+ * @param {Object} [options] - Audit options
+ * @param {number} [options.minContrast=4.5] - Minimum contrast ratio (WCAG AA)
+ * @param {number} [options.minColorDifference=10] - Smallest CIEDE2000
+ * difference at which colors count as distinguishable
+ * @returns {{contrast: Object[], colorVision: Object[], summary: Object}} Audit
+ * results; contrast entries {surface, labelId, backgroundId, property, color,
+ * opacity, foreground (color blended by opacity), background, ratio, passes,
+ * zoom?}
+ */
+export const auditAccessibility = (v2Json, options = {}) => {
+  const minContrast = options.minContrast ?? DEFAULT_MIN_CONTRAST;
+  const minDifference =
+    options.minColorDifference ?? DEFAULT_MIN_COLOR_DIFFERENCE;
+
+  const styles = Array.isArray(v2Json?.styles) ? v2Json.styles : [];
+  const stylesById = new Map(
+    materializeStyles(styles).map((style) => [style.id, style])
+  );
+
+  const labelPairs = getLabelPairs(stylesById);
+  const contrast = labelPairs.map((pair) => {
+    const ratio = getContrastRatio(pair.foreground, pair.background);
+    return {
+      ...pair,
+      ratio: Math.round(ratio * 100) / 100,
+      passes: ratio >= minContrast,
+    };
+  });
+
+  const colorPairs = [
+    ...labelPairs
+      .filter(({ property }) => property === "label.textFillColor")
+      .map(({ labelId, backgroundId, property, foreground, background, zoom }) =>
+        [
+          { id: labelId, property, color: foreground },
+          { id: backgroundId, property: "geometry.fillColor", color: background },
+        ].map((color) => (zoom === undefined ? color : { ...color, zoom }))
+      ),
+    ...getSurfacePairs(stylesById),
+  ];
+  const colorVision = findIndistinguishablePairs(colorPairs, minDifference);
+
+  return {
+    contrast,
+    colorVision,
+    summary: {
+      contrastChecks: contrast.length,
+      contrastFailures: contrast.filter((entry) => !entry.passes).length,
+      indistinguishablePairs: colorVision.length,
+    },
+  };
+};
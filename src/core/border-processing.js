@@ -0,0 +1,116 @@
+/**
+ * Border processing for Google Maps style conversion
+ * V1 styles borders through the stroke of administrative.country and
+ * administrative.province; V2 draws every administrative border with the single
+ * political.border feature. Policy:
+ * - Country and province stroke rules (elementType all, geometry or
+ *   geometry.stroke) also target political.border.
+ * - Country-level rules take precedence: once a country rule sets a border
+ *   property (color or visible), province rules no longer change it, whatever
+ *   the rule order. Province rules style the border only where no country
+ *   rule does.
+ * - Province rules cannot hide the border, as that would hide country borders
+ *   too; hiding borders takes a country (or administrative) rule.
+ * - political.border has no stroke width, so weights are dropped.
+ */
+
+export const BORDER_FEATURE_ID = "political.border";
+
+/**
+ * Border level of the V1 featureTypes whose strokes are borders
+ * @type {Readonly<Object.<string, string>>}
+ */
+const borderLevels = Object.freeze({
+  "administrative.country": "country",
+  "administrative.province": "province",
+});
+
+/**
+ * V1 elementTypes that style a feature's stroke
+ * @type {readonly string[]}
+ */
+const BORDER_ELEMENT_TYPES = Object.freeze([
+  "all",
+  "geometry",
+  "geometry.stroke",
+]);
+
+/**
+ * Gets the border level a V1 rule styles
+ * @param {string} featureType - V1 featureType
+ * @param {string} [elementType] - V1 elementType
+ * @returns {string|null} "country", "province" or null if the rule styles no border
+ */
+export const getBorderLevel = (featureType, elementType) =>
+  BORDER_ELEMENT_TYPES.includes(elementType || "all")
+    ? borderLevels[featureType] ?? null
+    : null;
+
+/**
+ * Adds political.border to the target IDs of a rule that styles borders
+ * @param {string[]} targetIds - Target feature IDs of the rule
+ * @param {string} featureType - V1 featureType
+ * @param {string} [elementType] - V1 elementType
+ * @returns {string[]} Target feature IDs
+ */
+export const addBorderTarget = (targetIds, featureType, elementType) =>
+  getBorderLevel(featureType, elementType) &&
+  !targetIds.includes(BORDER_FEATURE_ID)
+    ? [...targetIds, BORDER_FEATURE_ID]
+    : targetIds;
+
+/**
+ * Applies the border policy (see above) to what a border rule wrote
+ * Province writes to properties a country rule set, and province writes that
+ * hide the border, are reverted; properties the rule set are attributed to its
+ * level. The visible flag that color writes add only counts as set when the
+ * rule has a visibility styler.
+ * @param {Map} v2StylesMap - Map of V2 styles
+ * @param {string} level - Border level of the rule ("country" or "province")
+ * @param {Object} before - political.border geometry before the rule
+ * @param {Object} mergedStyler - Merged V1 styler object of the rule
+ * @param {Map<string, string>} borderSourceMap - Map of border property to the level that set it
+ * @returns {string[]} Geometry properties whose writes were reverted
+ */
+export const applyBorderPrecedence = (
+  v2StylesMap,
+  level,
+  before,
+  mergedStyler,
+  borderSourceMap
+) => {
+  const geometry = v2StylesMap.get(BORDER_FEATURE_ID)?.geometry;
+  if (!geometry) return [];
+
+  const reverted = [];
+
+  const properties = new Set([
+    ...Object.keys(before),
+    ...Object.keys(geometry),
+  ]);
+  for (const property of properties) {
+    const value = JSON.stringify(geometry[property]);
+    if (JSON.stringify(before[property]) === value) continue;
+
+    const isRevertedWrite =
+      level === "province" &&
+      (borderSourceMap.get(property) === "country" ||
+        (property === "visible" && geometry.visible === false));
+
+    if (isRevertedWrite) {
+      if (before[property] === undefined) {
+        delete geometry[property];
+      } else {
+        geometry[property] = before[property];
+      }
+      reverted.push(property);
+    } else if (
+      property !== "visible" ||
+      mergedStyler.visibility !== undefined
+    ) {
+      borderSourceMap.set(property, level);
+    }
+  }
+
+  return reverted;
+};
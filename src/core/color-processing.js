@@ -6,12 +6,16 @@
 import {
   extractColor,
   normalizeHex,
+  parseColor,
   applyGamma,
 } from "../utils/color-utils.js";
 import {
   getExternalAdjustments,
   applyColorAdjustments,
+  hasHslStylers,
+  parseHslAdjustments,
 } from "./hsl-adjustments.js";
+import { getDefaultColor } from "./default-palette.js";
 import {
   supportsGeometry,
   supportsLabel,
@@ -23,6 +27,53 @@ import {
 import { getV2PropertyPath } from "./mapping.js";
 import { ensureSection, getOrCreateStyle, convertWeight } from "./style-utils.js";
 
+/**
+ * Maps V2 color properties to the opacity property that carries their alpha
+ * @type {Readonly<Object.<string, string>>}
+ */
+const opacityPropertyMap = Object.freeze({
+  fillColor: "fillOpacity",
+  strokeColor: "strokeOpacity",
+  textFillColor: "textFillOpacity",
+  textStrokeColor: "textStrokeOpacity",
+});
+
+/**
+ * Writes the alpha of an explicit V1 color to the matching opacity property
+ * Colors without alpha only reset an opacity written by an earlier rule, since
+ * the new color replaces the earlier translucent one
+ * @param {Object} mergedStyler - Merged styler object
+ * @param {string} id - Feature ID
+ * @param {string} section - Section name ('geometry' or 'label')
+ * @param {string} colorProperty - Color property that was written
+ * @param {Object} sectionObj - Section object of the style
+ */
+export const applyColorOpacity = (
+  mergedStyler,
+  id,
+  section,
+  colorProperty,
+  sectionObj
+) => {
+  if (mergedStyler.color === undefined || mergedStyler.color === null) return;
+
+  const opacityProperty = opacityPropertyMap[colorProperty];
+  if (!opacityProperty) return;
+
+  const isValid =
+    section === "geometry"
+      ? isValidGeometryProperty(id, opacityProperty)
+      : isValidLabelProperty(id, opacityProperty);
+  if (!isValid) return;
+
+  const alpha = parseColor(mergedStyler.color)?.alpha ?? null;
+  if (alpha !== null) {
+    sectionObj[opacityProperty] = alpha;
+  } else if (sectionObj[opacityProperty] !== undefined) {
+    sectionObj[opacityProperty] = 1;
+  }
+};
+
 /**
  * Applies gamma adjustment to a color if present
  * @param {string|null} color - Color to adjust, or null
@@ -44,30 +95,70 @@ export const applyGammaIfPresent = (color, gamma, fallbackColor = null) => {
   return null;
 };
 
+/**
+ * Checks if a styler carries a gamma adjustment
+ * @param {Object} mergedStyler - Merged styler object
+ * @returns {boolean} True if gamma is present
+ */
+const hasGamma = (mergedStyler) =>
+  mergedStyler.gamma !== undefined && mergedStyler.gamma !== null;
+
+/**
+ * Resolves the base color that relative stylers adjust
+ * V1 hue, saturation, lightness, gamma and invert_lightness are relative to Google's
+ * default style, so when the styler uses them and no color has been written yet,
+ * the default palette color is used instead. Adjustments inherited from earlier
+ * rules never reached that default color, so they are applied to it here.
+ * @param {Object} mergedStyler - Merged styler object
+ * @param {string} id - Feature ID
+ * @param {string} section - Section name ('geometry' or 'label')
+ * @param {string} property - Color property name
+ * @param {string|undefined} existingColor - Color already written for the property
+ * @param {Object|null} externalAdjustments - External HSL adjustments
+ * @param {string} [colorModel="hsl"] - Color model of the adjustments
+ * @returns {string|null} Base color or null
+ */
+export const resolveBaseColor = (
+  mergedStyler,
+  id,
+  section,
+  property,
+  existingColor,
+  externalAdjustments = null,
+  colorModel = "hsl"
+) => {
+  if (existingColor) return existingColor;
+  if (!hasHslStylers(mergedStyler) && !hasGamma(mergedStyler)) return null;
+
+  const defaultColor = getDefaultColor(id, section, property);
+  return defaultColor
+    ? applyColorAdjustments(defaultColor, externalAdjustments, colorModel)
+    : null;
+};
+
 /**
  * Processes color with HSL and gamma adjustments
  * @param {Object} mergedStyler - Merged styler object
  * @param {Object|null} externalAdjustments - External HSL adjustments
  * @param {string|null} existingColor - Existing color to adjust if no explicit color
+ * @param {string} [colorModel="hsl"] - Color model of the adjustments
  * @returns {string|null} Processed color or null
  */
 export const processColor = (
   mergedStyler,
   externalAdjustments,
-  existingColor = null
+  existingColor = null,
+  colorModel = "hsl"
 ) => {
-  let color = extractColor(mergedStyler, externalAdjustments);
+  let color = extractColor(mergedStyler, externalAdjustments, colorModel);
 
-  const hasHslAdjustments =
-    mergedStyler.saturation !== undefined ||
-    mergedStyler.lightness !== undefined;
+  const hasHslAdjustments = hasHslStylers(mergedStyler);
 
   if (color === null && hasHslAdjustments && existingColor) {
     color = applyColorAdjustments(
       existingColor,
-      mergedStyler.lightness,
-      mergedStyler.saturation,
-      externalAdjustments
+      parseHslAdjustments(mergedStyler),
+      colorModel
     );
   }
 
@@ -100,6 +191,7 @@ export const setVisibilityOnColor = (style, section, mergedStyler) => {
  * @param {boolean} hasExplicitColor - Whether rule has explicit color
  * @param {boolean} hasHslAdjustments - Whether rule has HSL adjustments
  * @param {Map} hslAdjustmentsMap - Map of HSL adjustments
+ * @param {string} [colorModel="hsl"] - Color model of the adjustments
  */
 export const processGeometryColor = (
   mergedStyler,
@@ -110,7 +202,8 @@ export const processGeometryColor = (
   isGeneralRule,
   hasExplicitColor,
   hasHslAdjustments,
-  hslAdjustmentsMap
+  hslAdjustmentsMap,
+  colorModel = "hsl"
 ) => {
   const normalizedColor = hasExplicitColor
     ? normalizeHex(mergedStyler.color)
@@ -126,11 +219,25 @@ export const processGeometryColor = (
   );
 
   const geometry = ensureSection(style, "geometry");
-  const existingColor = geometry[targetProperty];
-  const color = processColor(mergedStyler, externalAdjustments, existingColor);
+  const existingColor = resolveBaseColor(
+    mergedStyler,
+    id,
+    "geometry",
+    targetProperty,
+    geometry[targetProperty],
+    externalAdjustments,
+    colorModel
+  );
+  const color = processColor(
+    mergedStyler,
+    externalAdjustments,
+    existingColor,
+    colorModel
+  );
 
   if (color !== null) {
     geometry[targetProperty] = color;
+    applyColorOpacity(mergedStyler, id, "geometry", targetProperty, geometry);
     setVisibilityOnColor(style, "geometry", mergedStyler);
   }
 };
@@ -146,6 +253,7 @@ export const processGeometryColor = (
  * @param {boolean} hasHslAdjustments - Whether rule has HSL adjustments
  * @param {Set} iconVisibilityOffSet - Set of feature IDs with icons disabled
  * @param {Map} hslAdjustmentsMap - Map of HSL adjustments
+ * @param {string} [colorModel="hsl"] - Color model of the adjustments
  */
 export const processLabelColor = (
   mergedStyler,
@@ -156,7 +264,8 @@ export const processLabelColor = (
   hasExplicitColor,
   hasHslAdjustments,
   iconVisibilityOffSet,
-  hslAdjustmentsMap
+  hslAdjustmentsMap,
+  colorModel = "hsl"
 ) => {
   if (property === "pinFillColor" && iconVisibilityOffSet?.has(id)) {
     return;
@@ -176,11 +285,25 @@ export const processLabelColor = (
   );
 
   const label = ensureSection(style, "label");
-  const existingColor = label[property];
-  const color = processColor(mergedStyler, externalAdjustments, existingColor);
+  const existingColor = resolveBaseColor(
+    mergedStyler,
+    id,
+    "label",
+    property,
+    label[property],
+    externalAdjustments,
+    colorModel
+  );
+  const color = processColor(
+    mergedStyler,
+    externalAdjustments,
+    existingColor,
+    colorModel
+  );
 
   if (color !== null) {
     label[property] = color;
+    applyColorOpacity(mergedStyler, id, "label", property, label);
     setVisibilityOnColor(style, "label", mergedStyler);
   }
 };
@@ -192,30 +315,35 @@ export const processLabelColor = (
  * @param {string} section - Section name ('geometry' or 'label')
  * @param {string} property - Property name
  * @param {Object|null} externalAdjustments - External HSL adjustments
+ * @param {string} [colorModel="hsl"] - Color model of the adjustments
  */
 export const applyAdjustmentsToExistingColor = (
   mergedStyler,
   style,
   section,
   property,
-  externalAdjustments
+  externalAdjustments,
+  colorModel = "hsl"
 ) => {
   const sectionObj = ensureSection(style, section);
-  const existingColor = sectionObj[property];
+  const existingColor = resolveBaseColor(
+    mergedStyler,
+    style.id,
+    section,
+    property,
+    sectionObj[property],
+    externalAdjustments,
+    colorModel
+  );
   if (!existingColor) return;
 
   let adjustedColor = existingColor;
 
-  const hasHslAdjustments =
-    mergedStyler.saturation !== undefined ||
-    mergedStyler.lightness !== undefined;
-
-  if (hasHslAdjustments) {
+  if (hasHslStylers(mergedStyler)) {
     adjustedColor = applyColorAdjustments(
       adjustedColor,
-      mergedStyler.lightness,
-      mergedStyler.saturation,
-      externalAdjustments
+      parseHslAdjustments(mergedStyler),
+      colorModel
     );
   }
 
@@ -232,6 +360,8 @@ export const applyAdjustmentsToExistingColor = (
  * @param {boolean} hasHslAdjustments - Whether rule has HSL adjustments
  * @param {Set} iconVisibilityOffSet - Set of feature IDs with icons disabled
  * @param {Map} hslAdjustmentsMap - Map of HSL adjustments
+ * @param {string} [colorModel="hsl"] - Color model of the adjustments
+ * @param {Object|null} [profile] - Resolved mapping profile (defaults to the built-in tables)
  */
 export const processAllElementColors = (
   mergedStyler,
@@ -240,15 +370,14 @@ export const processAllElementColors = (
   hasExplicitColor,
   hasHslAdjustments,
   iconVisibilityOffSet,
-  hslAdjustmentsMap
+  hslAdjustmentsMap,
+  colorModel = "hsl",
+  profile = null
 ) => {
   const normalizedColor = hasExplicitColor
     ? normalizeHex(mergedStyler.color)
     : null;
 
-  const hasGamma =
-    mergedStyler.gamma !== undefined && mergedStyler.gamma !== null;
-
   for (const id of targetIds) {
     const externalAdjustments = getExternalAdjustments(
       true,
@@ -259,35 +388,45 @@ export const processAllElementColors = (
       hslAdjustmentsMap
     );
 
-    let color = extractColor(mergedStyler, externalAdjustments);
+    let color = extractColor(mergedStyler, externalAdjustments, colorModel);
 
-    if (color === null && (hasHslAdjustments || hasGamma)) {
+    if (color === null && (hasHslAdjustments || hasGamma(mergedStyler))) {
       const style = getOrCreateStyle(v2StylesMap, id);
       ensureRequiredElements(style, id, null);
 
       if (supportsGeometry(id)) {
-        const targetProperty = mapGeometryColor(id);
-        if (isValidGeometryProperty(id, targetProperty)) {
-          applyAdjustmentsToExistingColor(
-            mergedStyler,
-            style,
-            "geometry",
-            targetProperty,
-            externalAdjustments
-          );
+        const paths = getV2PropertyPath("geometry", id, profile) ?? [];
+        for (const path of [paths].flat()) {
+          const [, property] = path.split(".");
+          const targetProperty =
+            property === "color" ? mapGeometryColor(id) : property;
+          if (isValidGeometryProperty(id, targetProperty)) {
+            applyAdjustmentsToExistingColor(
+              mergedStyler,
+              style,
+              "geometry",
+              targetProperty,
+              externalAdjustments,
+              colorModel
+            );
+          }
         }
       }
 
       if (supportsLabel(id)) {
         const labelColorProps = ["textFillColor", "pinFillColor"];
         for (const prop of labelColorProps) {
+          if (prop === "pinFillColor" && iconVisibilityOffSet?.has(id)) {
+            continue;
+          }
           if (isValidLabelProperty(id, prop)) {
             applyAdjustmentsToExistingColor(
               mergedStyler,
               style,
               "label",
               prop,
-              externalAdjustments
+              externalAdjustments,
+              colorModel
             );
           }
         }
@@ -332,7 +471,7 @@ export const processAllElementColors = (
     ensureRequiredElements(style, id, null);
 
     if (supportsGeometry(id)) {
-      const geometryPaths = getV2PropertyPath("geometry", id);
+      const geometryPaths = getV2PropertyPath("geometry", id, profile);
       if (geometryPaths) {
         const paths = Array.isArray(geometryPaths)
           ? geometryPaths
@@ -342,14 +481,30 @@ export const processAllElementColors = (
           const targetProperty =
             property === "color" ? mapGeometryColor(id) : property;
           if (isValidGeometryProperty(id, targetProperty)) {
-            ensureSection(style, "geometry")[targetProperty] = color;
+            const geometry = ensureSection(style, "geometry");
+            geometry[targetProperty] = color;
+            applyColorOpacity(
+              mergedStyler,
+              id,
+              "geometry",
+              targetProperty,
+              geometry
+            );
             setVisibilityOnColor(style, "geometry", mergedStyler);
           }
         }
       } else {
         const targetProperty = mapGeometryColor(id);
         if (isValidGeometryProperty(id, targetProperty)) {
-          ensureSection(style, "geometry")[targetProperty] = color;
+          const geometry = ensureSection(style, "geometry");
+          geometry[targetProperty] = color;
+          applyColorOpacity(
+            mergedStyler,
+            id,
+            "geometry",
+            targetProperty,
+            geometry
+          );
           setVisibilityOnColor(style, "geometry", mergedStyler);
         }
       }
@@ -359,6 +514,7 @@ export const processAllElementColors = (
       const label = ensureSection(style, "label");
       if (isValidLabelProperty(id, "textFillColor")) {
         label.textFillColor = color;
+        applyColorOpacity(mergedStyler, id, "label", "textFillColor", label);
         setVisibilityOnColor(style, "label", mergedStyler);
       }
       if (
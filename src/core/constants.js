@@ -21,3 +21,24 @@ export const PURE_WHITE = "#ffffff";
 export const STROKE_WEIGHT_STEP = 0.125;
 export const STROKE_WEIGHT_MAX = 8;
 export const LIGHTNESS_THRESHOLD = 50;
+export const MONOCHROME_SATURATION = -100;
+
+export const V1_STYLER_KEYS = Object.freeze([
+  "color",
+  "visibility",
+  "hue",
+  "saturation",
+  "lightness",
+  "gamma",
+  "invert_lightness",
+  "weight",
+]);
+
+export const V1_COLOR_STYLER_KEYS = Object.freeze([
+  "color",
+  "hue",
+  "saturation",
+  "lightness",
+  "gamma",
+  "invert_lightness",
+]);
@@ -0,0 +1,206 @@
+/**
+ * Contrast auto-fix for V2 CBMS styles
+ * Adjusts the lightness of label colors that fail the accessibility audit's
+ * contrast check until they reach a target contrast ratio against the surface
+ * they are drawn on (text strokes, the halos, against the text fill instead).
+ * Hue and saturation are kept.
+ */
+
+import {
+  auditAccessibility,
+  DEFAULT_MIN_CONTRAST,
+} from "./accessibility-audit.js";
+import { materializeStyles } from "./style-materializer.js";
+import {
+  hexToHsl,
+  hslToHex,
+  blendColors,
+  getContrastRatio,
+  getRelativeLuminance,
+} from "../utils/color-utils.js";
+
+const DEFAULT_PROPERTIES = Object.freeze(["textFillColor", "textStrokeColor"]);
+const HALO_PROPERTY = "label.textStrokeColor";
+
+/**
+ * Gets the contrast of a label color, blended by its opacity, on a background
+ * @param {string} color - Label color
+ * @param {number} opacity - Label opacity (0-1)
+ * @param {string} background - Background color
+ * @returns {number} Contrast ratio
+ */
+const getBlendedContrast = (color, opacity, background) =>
+  getContrastRatio(
+    opacity < 1 ? blendColors(color, background, opacity) : color,
+    background
+  );
+
+/**
+ * Finds the lightness closest to the original that reaches the target contrast
+ * Lightness moves away from the background first (darker on light surfaces,
+ * lighter on dark ones), then the other way. When neither reaches the target,
+ * the lightness with the highest contrast is used.
+ * @param {string} color - Label color
+ * @param {number} opacity - Label opacity (0-1)
+ * @param {string} background - Background color
+ * @param {number} target - Target contrast ratio
+ * @returns {{color: string, ratio: number, reached: boolean}} Adjusted color
+ */
+const adjustLightness = (color, opacity, background, target) => {
+  const { h, s, l } = hexToHsl(color);
+  const darkerFirst = getRelativeLuminance(background) > 0.18;
+  let best = { color, ratio: getBlendedContrast(color, opacity, background) };
+
+  for (const step of darkerFirst ? [-1, 1] : [1, -1]) {
+    for (let lightness = l + step; lightness >= 0 && lightness <= 100; lightness += step) {
+      const candidate = hslToHex(h, s, lightness);
+      const ratio = getBlendedContrast(candidate, opacity, background);
+      if (ratio >= target) {
+        return { color: candidate, ratio, reached: true };
+      }
+      if (ratio > best.ratio) {
+        best = { color: candidate, ratio };
+      }
+    }
+  }
+
+  return { ...best, reached: false };
+};
+
+/**
+ * Rechecks a text stroke (halo) against the text fill it surrounds
+ * The audit compares halos with the surface, but a halo is there to set the
+ * text apart, so a fix must move it away from the (possibly fixed) text fill
+ * @param {Object} entry - Audit contrast entry of a textStrokeColor
+ * @param {string|undefined} fill - Text fill color of the same label and zoom
+ * @param {number} target - Target contrast ratio
+ * @returns {Object|null} Contrast entry against the text fill, or null without a fill
+ */
+const getHaloEntry = (entry, fill, target) => {
+  if (!fill) return null;
+
+  const ratio = getContrastRatio(entry.color, fill);
+  return {
+    ...entry,
+    opacity: 1,
+    background: fill,
+    ratio: Math.round(ratio * 100) / 100,
+    passes: ratio >= target,
+  };
+};
+
+/**
+ * Writes a label color on a feature ID, adding the entry when it has none
+ * @param {Object} v2Json - V2 style object to modify
+ * @param {string} id - Feature ID
+ * @param {string} property - Label property path (label.textFillColor, ...)
+ * @param {string|Object} color - Color, or zoom-keyed colors
+ */
+const setLabelColor = (v2Json, id, property, color) => {
+  let style = v2Json.styles.find((s) => s?.id === id);
+  if (!style) {
+    style = { id };
+    v2Json.styles.push(style);
+  }
+  style.label ??= {};
+  style.label[property.slice("label.".length)] = color;
+};
+
+/**
+ * Raises the contrast of label colors to a target ratio
+ * Runs the accessibility audit and, for every failing label color, writes an
+ * adjusted color on the label's feature ID (adding the entry when the color
+ * was inherited). Text strokes are checked against the label's text fill
+ * (after its fix), so a halo is never moved toward its text; their changelog
+ * background is that fill. Zoom-keyed label colors, or label colors on a zoom-keyed
+ * surface, are fixed per zoom key and written as zoom-keyed colors. The input
+ * is not modified.
+ * @param {Object} v2Json - V2 style object
+ * @param {Object} [options] - Fix options
+ * @param {number} [options.target=4.5] - Target contrast ratio (WCAG AA)
+ * @param {string[]} [options.properties=["textFillColor", "textStrokeColor"]] -
+ * Label color properties to adjust
+ * @returns {{result: Object, changes: Object[]}} Fixed V2 style and changelog
+ * entries {id, property, from, to, surface, background, ratioBefore,
+ * ratioAfter, reached, zoom?}
+ */
+export const fixContrast = (v2Json, options = {}) => {
+  const target = options.target ?? DEFAULT_MIN_CONTRAST;
+  if (typeof target !== "number" || !(target >= 1 && target <= 21)) {
+    throw new Error("Contrast target must be a number from 1 to 21");
+  }
+  const properties = (options.properties ?? DEFAULT_PROPERTIES).map(
+    (property) => `label.${property}`
+  );
+
+  const result = structuredClone(v2Json);
+  result.styles = Array.isArray(result.styles) ? result.styles : [];
+  const changes = [];
+
+  const { contrast } = auditAccessibility(v2Json, { minContrast: target });
+  const inherited = new Map(
+    materializeStyles(result.styles).map((style) => [style.id, style])
+  );
+  const zoomedColors = new Map();
+
+  const fills = new Map();
+
+  for (const contrastEntry of contrast) {
+    const fillKey = `${contrastEntry.labelId}|${contrastEntry.zoom}`;
+    const isHalo = contrastEntry.property === HALO_PROPERTY;
+    if (!isHalo) fills.set(fillKey, contrastEntry.color);
+    if (!properties.includes(contrastEntry.property)) continue;
+
+    const entry = isHalo
+      ? getHaloEntry(contrastEntry, fills.get(fillKey), target)
+      : contrastEntry;
+    if (!entry) continue;
+
+    const key = `${entry.labelId}|${entry.property}`;
+    let color = entry.color;
+    if (!entry.passes) {
+      const adjusted = adjustLightness(
+        entry.color,
+        entry.opacity,
+        entry.background,
+        target
+      );
+      if (adjusted.color !== entry.color) {
+        color = adjusted.color;
+        if (!isHalo) fills.set(fillKey, color);
+        changes.push({
+          id: entry.labelId,
+          property: entry.property,
+          from: entry.color,
+          to: adjusted.color,
+          surface: entry.surface,
+          background: entry.background,
+          ratioBefore: entry.ratio,
+          ratioAfter: Math.round(adjusted.ratio * 100) / 100,
+          reached: adjusted.reached,
+          ...(entry.zoom !== undefined && { zoom: entry.zoom }),
+        });
+      }
+    }
+
+    // Zoom-keyed entries are collected and written as one zoom-keyed value
+    if (entry.zoom !== undefined) {
+      if (!zoomedColors.has(key)) zoomedColors.set(key, { entry, colors: {} });
+      zoomedColors.get(key).colors[entry.zoom] = color;
+    } else if (color !== entry.color) {
+      setLabelColor(result, entry.labelId, entry.property, color);
+    }
+  }
+
+  for (const { entry, colors } of zoomedColors.values()) {
+    const property = entry.property.slice("label.".length);
+    const current = inherited.get(entry.labelId)?.label?.[property];
+    const base = current !== null && typeof current === "object" ? current : {};
+    if (Object.entries(colors).every(([zoom, color]) => base[zoom] === color)) {
+      continue;
+    }
+    setLabelColor(result, entry.labelId, entry.property, { ...base, ...colors });
+  }
+
+  return { result, changes };
+};
@@ -0,0 +1,177 @@
+/**
+ * Conversion report for Google Maps V1 to V2 style conversion
+ * Records per-rule provenance: which V2 properties each V1 rule wrote, which of
+ * those values later rules overrode, and which stylers were dropped
+ */
+
+import { V1_STYLER_KEYS } from "./constants.js";
+
+/**
+ * Reasons a V1 styler can be dropped during conversion
+ * @type {Readonly<Object.<string, string>>}
+ */
+export const DROP_REASONS = Object.freeze({
+  UNSUPPORTED_STYLER: "unsupportedStyler",
+  INVALID_RULE: "invalidRule",
+  UNMAPPED_FEATURE_TYPE: "unmappedFeatureType",
+  UNMAPPED_ELEMENT_TYPE: "unmappedElementType",
+  INVALID_COLOR: "invalidColor",
+  INVALID_GEOMETRY_PROPERTY: "invalidGeometryProperty",
+  INVALID_LABEL_PROPERTY: "invalidLabelProperty",
+  BORDER_PRECEDENCE: "borderPrecedence",
+  REMOVED_BY_CLEANUP: "removedByCleanup",
+});
+
+/**
+ * Creates an empty report entry for a V1 rule
+ * @param {Object} rule - V1 style rule
+ * @param {number} index - Index of the rule in the V1 input
+ * @returns {Object} Rule report {index, featureType, elementType, written, overridden, dropped}
+ */
+export const createRuleReport = (rule, index) => ({
+  index,
+  featureType: rule?.featureType ?? null,
+  elementType: rule?.elementType ?? null,
+  written: [],
+  overridden: [],
+  dropped: [],
+});
+
+/**
+ * Records a dropped styler on a rule report
+ * Drops with the same reason, styler and property are merged, collecting their feature IDs
+ * @param {Object|null} ruleReport - Rule report (no-op when null)
+ * @param {Object} drop - Drop details {reason, styler?, property?, id?}
+ */
+export const recordDrop = (ruleReport, { reason, styler, property, id }) => {
+  if (!ruleReport) return;
+
+  let entry = ruleReport.dropped.find(
+    (d) =>
+      d.reason === reason && d.styler === styler && d.property === property
+  );
+  if (!entry) {
+    entry = { reason };
+    if (styler !== undefined) entry.styler = styler;
+    if (property !== undefined) entry.property = property;
+    ruleReport.dropped.push(entry);
+  }
+
+  if (id !== undefined) {
+    entry.ids ??= [];
+    if (!entry.ids.includes(id)) entry.ids.push(id);
+  }
+};
+
+/**
+ * Records stylers whose keys the converter does not support
+ * @param {Object|null} ruleReport - Rule report (no-op when null)
+ * @param {Array} stylers - V1 stylers array
+ */
+export const recordUnsupportedStylers = (ruleReport, stylers) => {
+  if (!ruleReport || !Array.isArray(stylers)) return;
+
+  for (const styler of stylers) {
+    for (const key of Object.keys(styler ?? {})) {
+      if (!V1_STYLER_KEYS.includes(key)) {
+        recordDrop(ruleReport, {
+          reason: DROP_REASONS.UNSUPPORTED_STYLER,
+          styler: key,
+        });
+      }
+    }
+  }
+};
+
+/**
+ * Flattens V2 styles into a map of "id|section.property" to serialized value
+ * @param {Map|Array} styles - Map of V2 styles or array of V2 style objects
+ * @returns {Map<string, string>} Flattened property values
+ */
+export const snapshotStyles = (styles) => {
+  const snapshot = new Map();
+  const styleList = styles instanceof Map ? styles.values() : styles;
+
+  for (const style of styleList) {
+    for (const section of ["geometry", "label"]) {
+      for (const [property, value] of Object.entries(style[section] ?? {})) {
+        snapshot.set(`${style.id}|${section}.${property}`, JSON.stringify(value));
+      }
+    }
+  }
+  return snapshot;
+};
+
+/**
+ * Splits a snapshot key into feature ID and property path
+ * @param {string} key - Snapshot key ("id|section.property")
+ * @returns {{id: string, property: string}} Feature ID and property path
+ */
+const parseSnapshotKey = (key) => {
+  const [id, property] = key.split("|");
+  return { id, property };
+};
+
+/**
+ * Records the properties a rule wrote by diffing snapshots taken around it
+ * Values previously written by another rule are recorded as overridden on that rule
+ * @param {Object} ruleReport - Report of the rule that was just processed
+ * @param {Map<string, string>} before - Snapshot taken before the rule
+ * @param {Map<string, string>} after - Snapshot taken after the rule
+ * @param {Map<string, Object>} owners - Map of snapshot key to the rule report that last wrote it
+ */
+export const recordRuleWrites = (ruleReport, before, after, owners) => {
+  const recordOverride = (key) => {
+    const owner = owners.get(key);
+    if (!owner || owner === ruleReport || !before.has(key)) return;
+
+    owner.overridden.push({
+      ...parseSnapshotKey(key),
+      value: JSON.parse(before.get(key)),
+      by: ruleReport.index,
+    });
+  };
+
+  for (const [key, value] of after) {
+    if (before.get(key) === value) continue;
+
+    recordOverride(key);
+    owners.set(key, ruleReport);
+    ruleReport.written.push({ ...parseSnapshotKey(key), value: JSON.parse(value) });
+  }
+
+  for (const key of before.keys()) {
+    if (after.has(key)) continue;
+
+    recordOverride(key);
+    owners.delete(key);
+  }
+};
+
+/**
+ * Finalizes rule reports against the converted styles
+ * Written values that did not survive style cleanup are moved to the dropped list
+ * @param {Object[]} ruleReports - Rule reports
+ * @param {Map<string, Object>} owners - Map of snapshot key to the rule report that last wrote it
+ * @param {Array} styles - Final V2 styles
+ * @returns {Object} Conversion report {rules}
+ */
+export const finalizeReport = (ruleReports, owners, styles) => {
+  const finalSnapshot = snapshotStyles(styles);
+
+  for (const ruleReport of ruleReports) {
+    ruleReport.written = ruleReport.written.filter(({ id, property }) => {
+      const key = `${id}|${property}`;
+      if (finalSnapshot.has(key) || owners.get(key) !== ruleReport) return true;
+
+      recordDrop(ruleReport, {
+        reason: DROP_REASONS.REMOVED_BY_CLEANUP,
+        property,
+        id,
+      });
+      return false;
+    });
+  }
+
+  return { rules: [...ruleReports].sort((a, b) => a.index - b.index) };
+};
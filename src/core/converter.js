@@ -13,6 +13,7 @@ import {
   ensureRequiredElements,
 } from "./feature-properties.js";
 import { detectVariant } from "./variant-detection.js";
+import { detectBackgroundColor, detectMonochrome } from "./root-properties.js";
 import { expandTargetIds } from "./feature-id-utils.js";
 import {
   validateRuleTypes,
@@ -24,7 +25,9 @@ import {
   trackDirectlyMappedIds,
   separateRules,
 } from "./style-utils.js";
-import { handleHslAdjustments } from "./hsl-adjustments.js";
+import { minimizeStyles } from "./style-minimizer.js";
+import { materializeStyles } from "./style-materializer.js";
+import { handleHslAdjustments, hasHslStylers } from "./hsl-adjustments.js";
 import {
   handleLabelsIconVisibility,
   handleGeneralVisibility,
@@ -34,11 +37,56 @@ import {
   processLabelColor,
   processAllElementColors,
 } from "./color-processing.js";
+import { parseColor, COLOR_MODELS } from "../utils/color-utils.js";
+import { normalizeV1Input } from "./input-normalizer.js";
+import { resolveMappingProfile } from "./mapping-profiles.js";
+import {
+  BORDER_FEATURE_ID,
+  getBorderLevel,
+  addBorderTarget,
+  applyBorderPrecedence,
+} from "./border-processing.js";
+import { V1_STYLER_KEYS, V1_COLOR_STYLER_KEYS } from "./constants.js";
+import {
+  DROP_REASONS,
+  createRuleReport,
+  recordDrop,
+  recordUnsupportedStylers,
+  snapshotStyles,
+  recordRuleWrites,
+  finalizeReport,
+} from "./conversion-report.js";
 
 // ============================================================================
 // Style Processing Functions
 // ============================================================================
 
+/**
+ * Removes color-valued stylers (color, hue) that cannot be parsed as colors
+ * Each removed value is reported through options.onWarning (console.warn by
+ * default) and recorded as dropped, so it is ignored instead of becoming black
+ * @param {Object} mergedStyler - Merged V1 styler object (modified in place)
+ * @param {Object} v1Rule - V1 style rule the styler belongs to
+ * @param {Object} options - Conversion options (see convertV1ToV2)
+ * @param {Object|null} ruleReport - Report entry that collects dropped stylers
+ */
+function removeInvalidColors(mergedStyler, v1Rule, options, ruleReport) {
+  const warn = options.onWarning ?? console.warn;
+
+  for (const styler of ["color", "hue"]) {
+    const value = mergedStyler[styler];
+    if (value === undefined || value === null || parseColor(value)) continue;
+
+    warn(
+      `Ignoring unrecognized ${styler} ${JSON.stringify(value)} (featureType: ${
+        v1Rule.featureType ?? "all"
+      }, elementType: ${v1Rule.elementType ?? "all"})`
+    );
+    recordDrop(ruleReport, { reason: DROP_REASONS.INVALID_COLOR, styler });
+    delete mergedStyler[styler];
+  }
+}
+
 /**
  * Processes a single V1 style rule and converts it to V2 style objects
  * @param {Object} v1Rule - V1 style rule
@@ -46,38 +94,64 @@ import {
  * @param {Map} hslAdjustmentsMap - Map to track HSL adjustments per feature type
  * @param {Set} iconVisibilityOffSet - Set of feature IDs where labels.icon visibility is "off"
  * @param {Map} visibilitySourceMap - Map tracking which feature type set visibility
+ * @param {Map} [borderSourceMap] - Map tracking which border level set each political.border property
+ * @param {Object} [options] - Conversion options (see convertV1ToV2)
+ * @param {Object|null} [ruleReport] - Report entry that collects dropped stylers
  */
 function processV1Rule(
   v1Rule,
   v2StylesMap,
   hslAdjustmentsMap,
   iconVisibilityOffSet = null,
-  visibilitySourceMap = null
+  visibilitySourceMap = null,
+  borderSourceMap = null,
+  options = {},
+  ruleReport = null
 ) {
   const { featureType, elementType, stylers } = v1Rule;
 
-  if (
-    !validateRuleTypes(featureType, elementType) ||
-    !Array.isArray(stylers) ||
-    stylers.length === 0
-  ) {
+  if (!validateRuleTypes(featureType, elementType) || !Array.isArray(stylers)) {
+    recordDrop(ruleReport, { reason: DROP_REASONS.INVALID_RULE });
     return;
   }
-
-  const targetIds = expandTargetIds(featureType);
-  if (targetIds.length === 0) return;
+  if (stylers.length === 0) return;
 
   const mergedStyler = stylers.reduce((acc, s) => ({ ...acc, ...s }), {});
+
+  /**
+   * Records the given styler keys of this rule as dropped
+   * @param {string[]} keys - V1 styler keys
+   * @param {string} reason - Drop reason (see DROP_REASONS)
+   * @param {Object} [details] - Extra drop details {property?, id?}
+   */
+  const dropStylers = (keys, reason, details = {}) => {
+    for (const styler of keys) {
+      if (mergedStyler[styler] !== undefined) {
+        recordDrop(ruleReport, { reason, styler, ...details });
+      }
+    }
+  };
+
+  removeInvalidColors(mergedStyler, v1Rule, options, ruleReport);
+
+  const targetIds = addBorderTarget(
+    expandTargetIds(featureType, options.mappingProfile),
+    featureType,
+    elementType
+  );
+  if (targetIds.length === 0) {
+    dropStylers(V1_STYLER_KEYS, DROP_REASONS.UNMAPPED_FEATURE_TYPE);
+    return;
+  }
+
   const isGeneralRule = elementType === "all" || !elementType;
+  const borderLevel = getBorderLevel(featureType, elementType);
+  const borderBefore = borderLevel
+    ? { ...v2StylesMap.get(BORDER_FEATURE_ID)?.geometry }
+    : null;
   const hasExplicitColor =
     mergedStyler.color !== undefined && mergedStyler.color !== null;
-  const hasHslAdjustments =
-    mergedStyler.saturation !== undefined ||
-    mergedStyler.lightness !== undefined;
-
-  if (isGeneralRule && !hasExplicitColor && hasHslAdjustments) {
-    handleHslAdjustments(mergedStyler, targetIds, hslAdjustmentsMap);
-  }
+  const hasHslAdjustments = hasHslStylers(mergedStyler);
 
   if (mergedStyler.visibility !== undefined) {
     const visible = getV2Visibility(mergedStyler.visibility);
@@ -92,22 +166,34 @@ function processV1Rule(
           );
         }
       } else {
+        const zoomSimplified =
+          options.zoomSimplified === true &&
+          String(mergedStyler.visibility).toLowerCase() === "simplified";
         handleGeneralVisibility(
           targetIds,
           visible,
           elementType,
           v2StylesMap,
           featureType || "all",
-          visibilitySourceMap
+          visibilitySourceMap,
+          zoomSimplified
         );
       }
     }
   }
 
-  const propertyPath = getV2PropertyPath(elementType);
+  const propertyPath = getV2PropertyPath(
+    elementType,
+    null,
+    options.mappingProfile
+  );
   if (propertyPath) {
     for (const id of targetIds) {
-      const propertyPathResult = getV2PropertyPath(elementType, id);
+      const propertyPathResult = getV2PropertyPath(
+        elementType,
+        id,
+        options.mappingProfile
+      );
       if (!propertyPathResult) continue;
 
       const propertyPaths = Array.isArray(propertyPathResult)
@@ -141,7 +227,14 @@ function processV1Rule(
               isGeneralRule,
               hasExplicitColor,
               hasHslAdjustments,
-              hslAdjustmentsMap
+              hslAdjustmentsMap,
+              options.colorModel
+            );
+          } else if (isColorProperty) {
+            dropStylers(
+              V1_COLOR_STYLER_KEYS,
+              DROP_REASONS.INVALID_GEOMETRY_PROPERTY,
+              { property: `geometry.${targetProperty}`, id }
             );
           } else if (
             property === "strokeWidth" &&
@@ -158,10 +251,9 @@ function processV1Rule(
             "textStrokeColor",
             "pinFillColor",
           ];
-          if (
-            labelColorProps.includes(property) &&
-            isValidLabelProperty(id, property)
-          ) {
+          if (!labelColorProps.includes(property)) continue;
+
+          if (isValidLabelProperty(id, property)) {
             processLabelColor(
               mergedStyler,
               id,
@@ -171,7 +263,14 @@ function processV1Rule(
               hasExplicitColor,
               hasHslAdjustments,
               iconVisibilityOffSet,
-              hslAdjustmentsMap
+              hslAdjustmentsMap,
+              options.colorModel
+            );
+          } else {
+            dropStylers(
+              V1_COLOR_STYLER_KEYS,
+              DROP_REASONS.INVALID_LABEL_PROPERTY,
+              { property: `label.${property}`, id }
             );
           }
         }
@@ -193,6 +292,11 @@ function processV1Rule(
             if (weight !== null) {
               ensureSection(style, "geometry").strokeWidth = weight;
             }
+          } else {
+            dropStylers(["weight"], DROP_REASONS.INVALID_GEOMETRY_PROPERTY, {
+              property: "geometry.strokeWidth",
+              id,
+            });
           }
         }
       }
@@ -205,58 +309,103 @@ function processV1Rule(
       hasExplicitColor,
       hasHslAdjustments,
       iconVisibilityOffSet,
-      hslAdjustmentsMap
+      hslAdjustmentsMap,
+      options.colorModel,
+      options.mappingProfile
+    );
+  } else {
+    dropStylers(
+      [...V1_COLOR_STYLER_KEYS, "weight"],
+      DROP_REASONS.UNMAPPED_ELEMENT_TYPE
+    );
+  }
+
+  if (borderLevel && borderSourceMap) {
+    const reverted = applyBorderPrecedence(
+      v2StylesMap,
+      borderLevel,
+      borderBefore,
+      mergedStyler,
+      borderSourceMap
     );
+    for (const property of reverted) {
+      dropStylers(
+        property === "visible" ? ["visibility"] : V1_COLOR_STYLER_KEYS,
+        DROP_REASONS.BORDER_PRECEDENCE,
+        { property: `geometry.${property}`, id: BORDER_FEATURE_ID }
+      );
+    }
+  }
+
+  // Recorded after this rule's colors are written so the rule's own adjustments
+  // are not applied a second time as inherited adjustments
+  if (isGeneralRule && !hasExplicitColor && hasHslAdjustments) {
+    handleHslAdjustments(mergedStyler, targetIds, hslAdjustmentsMap);
   }
 }
 
 /**
- * Converts V1 style JSON to V2 CBMS format
- * @param {Array|string} v1Input - V1 style JSON (array or JSON string)
- * @returns {Object} V2 style object with variant and styles array
+ * Runs the V1 to V2 conversion, optionally collecting a per-rule report
+ * @param {Array|Object|string} v1Input - V1 input (see convertV1ToV2)
+ * @param {Object} options - Conversion options (see convertV1ToV2)
+ * @param {boolean} withReport - Whether to collect a conversion report
+ * @returns {{result: Object, report: Object|null}} V2 style object and report
  */
-export function convertV1ToV2(v1Input) {
-  let v1Styles;
-  try {
-    v1Styles = typeof v1Input === "string" ? JSON.parse(v1Input) : v1Input;
-  } catch (error) {
-    throw new Error(`Invalid JSON input: ${error.message}`);
+function runConversion(v1Input, options, withReport) {
+  if (options.minimize && options.materialize) {
+    throw new Error("The minimize and materialize options cannot be combined");
   }
-
-  if (!Array.isArray(v1Styles)) {
-    throw new Error("V1 input must be an array of style rules");
+  const colorModel = options.colorModel ?? "hsl";
+  if (!COLOR_MODELS.includes(colorModel)) {
+    throw new Error(
+      `Unknown color model "${colorModel}" (expected one of: ${COLOR_MODELS.join(", ")})`
+    );
   }
 
+  const v1Styles = normalizeV1Input(v1Input);
+  const conversionOptions = {
+    ...options,
+    mappingProfile: resolveMappingProfile(options.mappingProfile),
+    colorModel,
+  };
+
   const variant = detectVariant(v1Styles);
   const v2StylesMap = new Map();
   const hslAdjustmentsMap = new Map();
   const iconVisibilityOffSet = new Set();
   const visibilitySourceMap = new Map();
+  const borderSourceMap = new Map();
+
+  const ruleReports = withReport
+    ? v1Styles.map((rule, index) => createRuleReport(rule, index))
+    : null;
+  const owners = new Map();
 
   const { labelsIconVisibilityRules, otherRules } = separateRules(v1Styles);
-  const directlyMappedIds = trackDirectlyMappedIds([
-    ...otherRules,
-    ...labelsIconVisibilityRules,
-  ]);
+  const directlyMappedIds = trackDirectlyMappedIds(
+    [...otherRules, ...labelsIconVisibilityRules],
+    conversionOptions.mappingProfile
+  );
 
-  for (const rule of otherRules) {
-    processV1Rule(
-      rule,
-      v2StylesMap,
-      hslAdjustmentsMap,
-      iconVisibilityOffSet,
-      visibilitySourceMap
-    );
-  }
+  for (const rule of [...otherRules, ...labelsIconVisibilityRules]) {
+    const ruleReport = ruleReports?.[v1Styles.indexOf(rule)] ?? null;
+    const before = ruleReport ? snapshotStyles(v2StylesMap) : null;
 
-  for (const rule of labelsIconVisibilityRules) {
+    recordUnsupportedStylers(ruleReport, rule.stylers);
     processV1Rule(
       rule,
       v2StylesMap,
       hslAdjustmentsMap,
       iconVisibilityOffSet,
-      visibilitySourceMap
+      visibilitySourceMap,
+      borderSourceMap,
+      conversionOptions,
+      ruleReport
     );
+
+    if (ruleReport) {
+      recordRuleWrites(ruleReport, before, snapshotStyles(v2StylesMap), owners);
+    }
   }
 
   setDefaultTransitVisibility(v2StylesMap, directlyMappedIds);
@@ -265,5 +414,65 @@ export function convertV1ToV2(v1Input) {
     .map(cleanupStyle)
     .filter((style) => style !== null && (style.geometry || style.label));
 
-  return { variant, styles };
+  const result = { variant };
+
+  const backgroundColor = detectBackgroundColor(styles);
+  if (backgroundColor) {
+    result.backgroundColor = backgroundColor;
+  }
+
+  if (detectMonochrome(v1Styles)) {
+    result.monochrome = true;
+  }
+
+  if (options.minimize) {
+    result.styles = minimizeStyles(styles);
+  } else if (options.materialize) {
+    result.styles = materializeStyles(styles);
+  } else {
+    result.styles = styles;
+  }
+
+  const report = ruleReports
+    ? finalizeReport(ruleReports, owners, styles)
+    : null;
+  return { result, report };
+}
+
+/**
+ * Converts V1 style JSON to V2 CBMS format
+ * @param {Array|Object|string} v1Input - V1 style array, wrapper object
+ * ({styles: [...]}), or text holding either as JSON or in a JavaScript snippet
+ * (e.g. `new google.maps.StyledMapType([...])`; see normalizeV1Input)
+ * @param {Object} [options] - Conversion options
+ * @param {boolean} [options.zoomSimplified=false] - Convert V1 "simplified" visibility
+ * to zoom-keyed visibility (e.g. road labels hidden below z12) instead of true
+ * @param {string|Object} [options.mappingProfile="faithful"] - Mapping profile:
+ * "faithful", "conservative" or a user override object (see resolveMappingProfile)
+ * @param {string} [options.colorModel="hsl"] - Color model V1 lightness,
+ * saturation and hue adjustments run in: "hsl" (the V1 math), or "oklch" or
+ * "lab" to keep perceived brightness even across hues
+ * @param {boolean} [options.minimize=false] - Remove style properties (and
+ * entries) that repeat what a feature inherits from its parent IDs
+ * @param {boolean} [options.materialize=false] - Emit an entry for every V2 ID
+ * with every supported property, filled from the V1 style or the defaults
+ * @param {Function} [options.onWarning=console.warn] - Called with a message for
+ * each V1 color or hue that cannot be parsed (the styler is ignored)
+ * @returns {Object} V2 style object with variant, optional backgroundColor and
+ * monochrome, and styles array
+ */
+export function convertV1ToV2(v1Input, options = {}) {
+  return runConversion(v1Input, options, false).result;
+}
+
+/**
+ * Converts V1 style JSON to V2 CBMS format and reports per-rule provenance
+ * Each rule entry (keyed by its index in the V1 input) lists the V2 properties
+ * it wrote, the values later rules overrode, and the stylers that were dropped
+ * @param {Array|Object|string} v1Input - V1 input (see convertV1ToV2)
+ * @param {Object} [options] - Conversion options (see convertV1ToV2)
+ * @returns {{result: Object, report: {rules: Object[]}}} V2 style object and report
+ */
+export function convertV1ToV2WithReport(v1Input, options = {}) {
+  return runConversion(v1Input, options, true);
 }
@@ -0,0 +1,223 @@
+/**
+ * Default base palette for Google Maps style conversion
+ * Approximates the colors of Google's default V1 roadmap style per V2 feature ID
+ * Used as the base color for relative stylers (hue, saturation, lightness, gamma,
+ * invert_lightness) when no color has been set yet
+ */
+
+import { getParentFeatureIds } from "./feature-id-utils.js";
+
+/**
+ * Default colors per V2 feature ID, grouped by section
+ * Features not listed inherit the colors of their nearest listed parent
+ * @type {Readonly<Object.<string, {geometry?: Object.<string, string>, label?: Object.<string, string>}>>}
+ */
+const defaultPalette = Object.freeze({
+  // natural features
+  natural: {
+    geometry: { fillColor: "#f5f5f2" },
+    label: { textFillColor: "#5b5b5b", textStrokeColor: "#ffffff" },
+  },
+  "natural.base": { geometry: { fillColor: "#f5f5f2" } },
+  "natural.land": { geometry: { fillColor: "#f5f5f2" } },
+  "natural.land.landCover": { geometry: { fillColor: "#e8f0e0" } },
+  "natural.land.landCover.crops": { geometry: { fillColor: "#e6efd6" } },
+  "natural.land.landCover.dryCrops": { geometry: { fillColor: "#eee9d5" } },
+  "natural.land.landCover.forest": { geometry: { fillColor: "#cde6c4" } },
+  "natural.land.landCover.ice": { geometry: { fillColor: "#f2f6f9" } },
+  "natural.land.landCover.sand": { geometry: { fillColor: "#f7f0d9" } },
+  "natural.land.landCover.shrub": { geometry: { fillColor: "#dfecd3" } },
+  "natural.land.landCover.tundra": { geometry: { fillColor: "#e9efe5" } },
+  "natural.water": {
+    geometry: { fillColor: "#aadaff" },
+    label: { textFillColor: "#5c8fb8", textStrokeColor: "#ffffff" },
+  },
+  "natural.water.ocean": { label: { textFillColor: "#4a7fad" } },
+  "natural.continent": { label: { textFillColor: "#3c4043" } },
+  "natural.archipelago": { label: { textFillColor: "#616161" } },
+  "natural.island": { label: { textFillColor: "#616161" } },
+
+  // infrastructure
+  infrastructure: {
+    geometry: { fillColor: "#e8eaed", strokeColor: "#dadce0" },
+    label: {
+      textFillColor: "#5f6368",
+      textStrokeColor: "#ffffff",
+      pinFillColor: "#7b9ebd",
+    },
+  },
+  "infrastructure.urbanArea": { geometry: { fillColor: "#ebe9e5" } },
+  "infrastructure.businessCorridor": { geometry: { fillColor: "#fbf1e1" } },
+  "infrastructure.building": {
+    geometry: { fillColor: "#f1f3f4", strokeColor: "#e8eaed" },
+    label: { textFillColor: "#80868b" },
+  },
+  "infrastructure.roadNetwork": {
+    geometry: { fillColor: "#ffffff", strokeColor: "#dadce0" },
+    label: { textFillColor: "#616161", textStrokeColor: "#ffffff" },
+  },
+  "infrastructure.roadNetwork.road.highway": {
+    geometry: { fillColor: "#fde293", strokeColor: "#f9c34c" },
+    label: { textFillColor: "#5d4d1b", textStrokeColor: "#ffffff" },
+  },
+  "infrastructure.roadNetwork.road.arterial": {
+    geometry: { fillColor: "#ffffff", strokeColor: "#d6d6d6" },
+    label: { textFillColor: "#757575" },
+  },
+  "infrastructure.roadNetwork.road.local": {
+    label: { textFillColor: "#9e9e9e" },
+  },
+  "infrastructure.roadNetwork.ramp": {
+    geometry: { fillColor: "#fde293", strokeColor: "#f9c34c" },
+  },
+  "infrastructure.roadNetwork.noTraffic.trail": {
+    geometry: { fillColor: "#c6dcb8", strokeColor: "#b4cfa3" },
+    label: { textFillColor: "#5b7f4a" },
+  },
+  "infrastructure.roadNetwork.noTraffic.pedestrianMall": {
+    geometry: { fillColor: "#f1f3f4" },
+  },
+  "infrastructure.roadNetwork.parkingAisle": {
+    geometry: { fillColor: "#f1f3f4", strokeColor: "#e8eaed" },
+  },
+  "infrastructure.roadNetwork.roadDetail": {
+    geometry: { fillColor: "#f1f3f4" },
+    label: { textFillColor: "#80868b" },
+  },
+  "infrastructure.roadNetwork.roadSign": {
+    label: { textFillColor: "#5f6368", pinFillColor: "#7b9ebd" },
+  },
+  "infrastructure.railwayTrack": {
+    geometry: { fillColor: "#dadce0", strokeColor: "#bdc1c6" },
+  },
+  "infrastructure.transitStation": {
+    label: {
+      textFillColor: "#1967d2",
+      textStrokeColor: "#ffffff",
+      pinFillColor: "#1a73e8",
+    },
+  },
+
+  // pointOfInterest
+  pointOfInterest: {
+    geometry: { fillColor: "#e4e2de" },
+    label: {
+      textFillColor: "#5b5b5b",
+      textStrokeColor: "#ffffff",
+      pinFillColor: "#7b9ebd",
+    },
+  },
+  "pointOfInterest.recreation": {
+    geometry: { fillColor: "#c5e8c5" },
+    label: { textFillColor: "#34814b", pinFillColor: "#34a853" },
+  },
+  "pointOfInterest.recreation.beach": { geometry: { fillColor: "#fbf2d7" } },
+  "pointOfInterest.recreation.golfCourse": {
+    geometry: { fillColor: "#bde3c3" },
+  },
+  "pointOfInterest.recreation.natureReserve": {
+    geometry: { fillColor: "#cbe6be" },
+  },
+  "pointOfInterest.recreation.sportsComplex": {
+    geometry: { fillColor: "#d5efd4" },
+  },
+  "pointOfInterest.lodging": {
+    label: { textFillColor: "#c2185b", pinFillColor: "#e8368f" },
+  },
+  "pointOfInterest.landmark": {
+    label: { textFillColor: "#5b5b5b", pinFillColor: "#7b9ebd" },
+  },
+  "pointOfInterest.foodAndDrink": {
+    label: { textFillColor: "#c5571a", pinFillColor: "#f29900" },
+  },
+  "pointOfInterest.retail": {
+    label: { textFillColor: "#1a73e8", pinFillColor: "#4285f4" },
+  },
+  "pointOfInterest.emergency": {
+    geometry: { fillColor: "#f4e2e1" },
+    label: { textFillColor: "#c5221f", pinFillColor: "#ea4335" },
+  },
+  "pointOfInterest.entertainment": {
+    label: { textFillColor: "#12857e", pinFillColor: "#12b5cb" },
+  },
+  "pointOfInterest.transit": {
+    geometry: { fillColor: "#e8eaed" },
+    label: { textFillColor: "#1967d2", pinFillColor: "#1a73e8" },
+  },
+  "pointOfInterest.service": {
+    geometry: { fillColor: "#e8eaed" },
+    label: { textFillColor: "#5f6368", pinFillColor: "#7b9ebd" },
+  },
+  "pointOfInterest.other": {
+    geometry: { fillColor: "#e4e2de" },
+    label: { textFillColor: "#5b5b5b", pinFillColor: "#7b9ebd" },
+  },
+  "pointOfInterest.other.cemetery": {
+    label: { textFillColor: "#4f7a5a" },
+  },
+
+  // political
+  political: {
+    geometry: { fillColor: "#f5f5f2" },
+    label: {
+      textFillColor: "#616161",
+      textStrokeColor: "#ffffff",
+      pinFillColor: "#7b9ebd",
+    },
+  },
+  "political.countryOrRegion": { label: { textFillColor: "#3c4043" } },
+  "political.stateOrProvince": { label: { textFillColor: "#5f6368" } },
+  "political.city": { label: { textFillColor: "#424242" } },
+  "political.sublocality": { label: { textFillColor: "#757575" } },
+  "political.neighborhood": { label: { textFillColor: "#757575" } },
+  "political.reservation": { geometry: { fillColor: "#ebe9e1" } },
+  "political.border": {
+    geometry: { color: "#9e9e9e" },
+    label: { textFillColor: "#757575" },
+  },
+  "political.landParcel": { geometry: { strokeColor: "#e0e0e0" } },
+});
+
+/**
+ * Gets the default V1 color for a feature property
+ * Looks up the feature itself first, then its parents (most specific first)
+ * @param {string} featureId - V2 feature ID
+ * @param {string} section - Section name ('geometry' or 'label')
+ * @param {string} property - Color property name (e.g. fillColor, textFillColor)
+ * @returns {string|null} Default hex color (#RRGGBB) or null if none is known
+ */
+export const getDefaultColor = (featureId, section, property) => {
+  for (const id of [featureId, ...getParentFeatureIds(featureId)]) {
+    const color = defaultPalette[id]?.[section]?.[property];
+    if (color) return color;
+  }
+  return null;
+};
+
+/**
+ * Default values of the non-color V2 properties
+ * Opacities are fully opaque and features are visible; strokeWidth uses the
+ * V1 default weight of 1
+ * @type {Readonly<Object.<string, boolean|number>>}
+ */
+const defaultPropertyValues = Object.freeze({
+  visible: true,
+  fillOpacity: 1,
+  strokeOpacity: 1,
+  strokeWidth: 1,
+  textFillOpacity: 1,
+  textStrokeOpacity: 1,
+});
+
+/**
+ * Gets the default value of any V2 property of a feature
+ * Colors come from the default palette, other properties from defaultPropertyValues
+ * @param {string} featureId - V2 feature ID
+ * @param {string} section - Section name ('geometry' or 'label')
+ * @param {string} property - Property name
+ * @returns {string|number|boolean|null} Default value or null if none is known
+ */
+export const getDefaultValue = (featureId, section, property) =>
+  getDefaultColor(featureId, section, property) ??
+  defaultPropertyValues[property] ??
+  null;
@@ -41,14 +41,15 @@ export const getChildFeatureIds = (parentId) => {
 /**
  * Expands feature IDs to include parent and child relationships
  * @param {string} featureType - V1 feature type
+ * @param {Object|null} [profile] - Resolved mapping profile (defaults to the built-in tables)
  * @returns {string[]} Array of expanded feature IDs
  */
-export const expandTargetIds = (featureType) => {
+export const expandTargetIds = (featureType, profile = null) => {
   if (!featureType || featureType === "all") {
     return getAllV2Ids();
   }
 
-  const mappedId = getV2Id(featureType);
+  const mappedId = getV2Id(featureType, profile);
   if (!mappedId) return [];
 
   const ids = Array.isArray(mappedId) ? mappedId : [mappedId];
@@ -412,6 +412,30 @@ export function isValidLabelProperty(featureId, property) {
   return isValidProperty(labelProperties, featureId, property);
 }
 
+/**
+ * Gets every property a feature supports in a section
+ * Mirrors isValidGeometryProperty/isValidLabelProperty: explicitly listed
+ * features use their own list, others the properties of any parent
+ * @param {string} featureId - V2 feature ID
+ * @param {string} section - Section name ('geometry' or 'label')
+ * @returns {string[]} Property names
+ */
+export const getValidProperties = (featureId, section) => {
+  const propertiesMap =
+    section === "geometry" ? geometryProperties : labelProperties;
+  if (Object.hasOwn(propertiesMap, featureId)) {
+    return [...propertiesMap[featureId]];
+  }
+
+  const properties = new Set();
+  for (const parentId of getParentFeatureIds(featureId)) {
+    for (const property of propertiesMap[parentId] ?? []) {
+      properties.add(property);
+    }
+  }
+  return [...properties];
+};
+
 /**
  * Checks if a feature supports properties from a given map
  * @param {Object.<string, string[]>} propertiesMap - Map of feature IDs to valid properties
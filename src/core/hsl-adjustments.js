@@ -3,10 +3,25 @@
  * Manages HSL adjustments and their application to colors
  */
 
-import { applyHslAdjustments } from "../utils/color-utils.js";
+import {
+  applyHslAdjustments,
+  invertLightness,
+  isInvertLightness,
+} from "../utils/color-utils.js";
 import { PURE_BLACK, PURE_WHITE } from "./constants.js";
 import { getParentFeatureIds } from "./feature-id-utils.js";
 
+/**
+ * Checks if a styler carries HSL adjustments (hue, saturation, lightness or invert_lightness)
+ * @param {Object} styler - V1 styler object
+ * @returns {boolean} True if any HSL adjustment is present
+ */
+export const hasHslStylers = (styler) =>
+  styler?.hue !== undefined ||
+  styler?.saturation !== undefined ||
+  styler?.lightness !== undefined ||
+  isInvertLightness(styler?.invert_lightness);
+
 /**
  * Gets HSL adjustments for a feature ID, merging from feature and all applicable parents
  * @param {string} featureId - V2 feature ID
@@ -29,6 +44,14 @@ export const getHslAdjustments = (featureId, hslAdjustmentsMap) => {
         adjustments.lightness = parentAdjustments.lightness;
         hasAdjustments = true;
       }
+      if (parentAdjustments.hue !== undefined) {
+        adjustments.hue = parentAdjustments.hue;
+        hasAdjustments = true;
+      }
+      if (parentAdjustments.invertLightness !== undefined) {
+        adjustments.invertLightness = parentAdjustments.invertLightness;
+        hasAdjustments = true;
+      }
     }
   }
 
@@ -42,6 +65,14 @@ export const getHslAdjustments = (featureId, hslAdjustmentsMap) => {
       adjustments.lightness = featureAdjustments.lightness;
       hasAdjustments = true;
     }
+    if (featureAdjustments.hue !== undefined) {
+      adjustments.hue = featureAdjustments.hue;
+      hasAdjustments = true;
+    }
+    if (featureAdjustments.invertLightness !== undefined) {
+      adjustments.invertLightness = featureAdjustments.invertLightness;
+      hasAdjustments = true;
+    }
   }
 
   return hasAdjustments ? adjustments : null;
@@ -80,27 +111,64 @@ export const getExternalAdjustments = (
 };
 
 /**
- * Applies HSL adjustments to an existing color
- * @param {string} existingColor - Existing color value
- * @param {number|undefined} lightness - Lightness adjustment
- * @param {number|undefined} saturation - Saturation adjustment
- * @param {Object|null} externalAdjustments - External HSL adjustments
+ * Parses the HSL adjustments carried by a V1 styler
+ * @param {Object} mergedStyler - Merged styler object
+ * @returns {Object} Adjustments object {saturation?, lightness?, hue?, invertLightness?}
+ */
+export const parseHslAdjustments = (mergedStyler) => {
+  const adjustments = {};
+
+  if (mergedStyler.saturation !== undefined) {
+    const sat = parseFloat(mergedStyler.saturation);
+    if (!Number.isNaN(sat)) adjustments.saturation = sat;
+  }
+
+  if (mergedStyler.lightness !== undefined) {
+    const light = parseFloat(mergedStyler.lightness);
+    if (!Number.isNaN(light)) adjustments.lightness = light;
+  }
+
+  if (typeof mergedStyler.hue === "string") {
+    adjustments.hue = mergedStyler.hue;
+  }
+
+  if (mergedStyler.invert_lightness !== undefined) {
+    adjustments.invertLightness = isInvertLightness(
+      mergedStyler.invert_lightness
+    );
+  }
+
+  return adjustments;
+};
+
+/**
+ * Applies HSL adjustments to a color
+ * Hue, saturation and lightness are applied in one pass of the color model;
+ * lightness inversion is applied last. Colors already written by earlier rules
+ * carry those rules' adjustments, so callers pass only the adjustments that
+ * have not reached the color yet.
+ * @param {string} baseColor - Base color value
+ * @param {Object|null} adjustments - Adjustments {saturation?, lightness?, hue?, invertLightness?}
+ * @param {string} [colorModel="hsl"] - Color model (see COLOR_MODELS)
  * @returns {string} Adjusted color
  */
 export const applyColorAdjustments = (
-  existingColor,
-  lightness,
-  saturation,
-  externalAdjustments
+  baseColor,
+  adjustments,
+  colorModel = "hsl"
 ) => {
-  let adjustedColor = applyHslAdjustments(existingColor, lightness, saturation);
-
-  if (externalAdjustments) {
-    adjustedColor = applyHslAdjustments(
-      adjustedColor,
-      externalAdjustments.lightness,
-      externalAdjustments.saturation
-    );
+  if (!adjustments) return baseColor;
+
+  let adjustedColor = applyHslAdjustments(
+    baseColor,
+    adjustments.lightness,
+    adjustments.saturation,
+    adjustments.hue,
+    colorModel
+  );
+
+  if (adjustments.invertLightness) {
+    adjustedColor = invertLightness(adjustedColor);
   }
 
   return adjustedColor;
@@ -108,6 +176,7 @@ export const applyColorAdjustments = (
 
 /**
  * Handles HSL adjustment rules for general element types
+ * Records the rule's adjustments so that later rules inherit them
  * @param {Object} mergedStyler - Merged styler object
  * @param {string[]} targetIds - Target feature IDs
  * @param {Map} hslAdjustmentsMap - Map of HSL adjustments
@@ -117,17 +186,7 @@ export const handleHslAdjustments = (
   targetIds,
   hslAdjustmentsMap
 ) => {
-  const adjustments = {};
-
-  if (mergedStyler.saturation !== undefined) {
-    const sat = parseFloat(mergedStyler.saturation);
-    if (!Number.isNaN(sat)) adjustments.saturation = sat;
-  }
-
-  if (mergedStyler.lightness !== undefined) {
-    const light = parseFloat(mergedStyler.lightness);
-    if (!Number.isNaN(light)) adjustments.lightness = light;
-  }
+  const adjustments = parseHslAdjustments(mergedStyler);
 
   if (Object.keys(adjustments).length === 0) return;
 
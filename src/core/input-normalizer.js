@@ -0,0 +1,285 @@
+/**
+ * Input normalization for Google Maps V1 styles
+ * Extracts the V1 style array from JSON, wrapper objects ({styles: [...]}) and
+ * pasted JavaScript snippets such as `new google.maps.StyledMapType([...])` or
+ * `const styles = [...]`, including object literals with unquoted keys,
+ * single-quoted strings, comments and trailing commas
+ */
+
+const IDENTIFIER_START = /[A-Za-z_$]/;
+const IDENTIFIER_PART = /[\w$]/;
+const NUMBER_PATTERN = /^[+-]?(0x[0-9a-f]+|(\d+\.?\d*|\.\d+)(e[+-]?\d+)?)/i;
+const LITERAL_KEYWORDS = Object.freeze({
+  true: true,
+  false: false,
+  null: null,
+});
+const STRING_ESCAPES = Object.freeze({
+  b: "\b",
+  f: "\f",
+  n: "\n",
+  r: "\r",
+  t: "\t",
+  v: "\v",
+  0: "\0",
+});
+
+/**
+ * Creates a parser for JavaScript object and array literals
+ * Only literal values are accepted: objects, arrays, strings, numbers,
+ * true, false and null. Anything else throws.
+ * @param {string} text - Source text
+ * @param {number} [start=0] - Position to start parsing at
+ * @returns {{parseValue: Function, position: Function}} Parser bound to the text
+ */
+const createLiteralParser = (text, start = 0) => {
+  let pos = start;
+
+  const fail = (message) => {
+    throw new Error(`${message} at position ${pos}`);
+  };
+
+  const skipWhitespaceAndComments = () => {
+    while (pos < text.length) {
+      if (/\s/.test(text[pos])) {
+        pos++;
+      } else if (text.startsWith("//", pos)) {
+        const end = text.indexOf("\n", pos);
+        pos = end === -1 ? text.length : end + 1;
+      } else if (text.startsWith("/*", pos)) {
+        const end = text.indexOf("*/", pos + 2);
+        if (end === -1) fail("Unterminated comment");
+        pos = end + 2;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const parseString = () => {
+    const quote = text[pos++];
+    let value = "";
+
+    while (pos < text.length && text[pos] !== quote) {
+      if (text[pos] === "\n") fail("Unterminated string");
+      if (text[pos] !== "\\") {
+        value += text[pos++];
+        continue;
+      }
+
+      const escaped = text[pos + 1];
+      if (escaped === "u") {
+        const code = text.slice(pos + 2, pos + 6);
+        if (!/^[0-9a-f]{4}$/i.test(code)) fail("Invalid unicode escape");
+        value += String.fromCharCode(parseInt(code, 16));
+        pos += 6;
+      } else {
+        value += STRING_ESCAPES[escaped] ?? escaped;
+        pos += 2;
+      }
+    }
+
+    if (pos >= text.length) fail("Unterminated string");
+    pos++;
+    return value;
+  };
+
+  const parseIdentifier = () => {
+    const identifierStart = pos;
+    pos++;
+    while (pos < text.length && IDENTIFIER_PART.test(text[pos])) pos++;
+    return text.slice(identifierStart, pos);
+  };
+
+  const parseNumber = () => {
+    const number = text.slice(pos, pos + 64).match(NUMBER_PATTERN);
+    if (!number) return null;
+    pos += number[0].length;
+    return Number(number[0]);
+  };
+
+  const parseKey = () => {
+    const char = text[pos];
+    if (char === '"' || char === "'") return parseString();
+    if (char !== undefined && IDENTIFIER_START.test(char)) {
+      return parseIdentifier();
+    }
+
+    const number = parseNumber();
+    return number === null ? fail("Expected property name") : String(number);
+  };
+
+  /**
+   * Parses the items of an object or array up to its closing bracket
+   * @param {string} close - Closing bracket
+   * @param {Function} parseItem - Parses one item
+   */
+  const parseItems = (close, parseItem) => {
+    pos++;
+    skipWhitespaceAndComments();
+
+    while (text[pos] !== close) {
+      if (pos >= text.length) fail("Unexpected end of input");
+      parseItem();
+      skipWhitespaceAndComments();
+
+      if (text[pos] === ",") {
+        pos++;
+        skipWhitespaceAndComments();
+      } else if (text[pos] !== close) {
+        fail(`Expected "," or "${close}"`);
+      }
+    }
+    pos++;
+  };
+
+  const parseValue = () => {
+    skipWhitespaceAndComments();
+    const char = text[pos];
+
+    if (char === "[") {
+      const array = [];
+      parseItems("]", () => array.push(parseValue()));
+      return array;
+    }
+
+    if (char === "{") {
+      const object = {};
+      parseItems("}", () => {
+        const key = parseKey();
+        skipWhitespaceAndComments();
+        if (text[pos] !== ":") fail('Expected ":"');
+        pos++;
+        object[key] = parseValue();
+      });
+      return object;
+    }
+
+    if (char === '"' || char === "'") return parseString();
+
+    if (char !== undefined && IDENTIFIER_START.test(char)) {
+      const word = parseIdentifier();
+      return Object.hasOwn(LITERAL_KEYWORDS, word)
+        ? LITERAL_KEYWORDS[word]
+        : fail(`Unexpected identifier "${word}"`);
+    }
+
+    const number = parseNumber();
+    if (number !== null) return number;
+
+    return fail(
+      char === undefined ? "Unexpected end of input" : `Unexpected "${char}"`
+    );
+  };
+
+  return { parseValue, position: () => pos };
+};
+
+/**
+ * Gets the V1 style array from a parsed value
+ * Accepts a bare array or a wrapper object with a `styles` array
+ * @param {*} value - Parsed value
+ * @returns {Array|null} V1 style array or null if the value holds none
+ */
+const getStyleArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (Array.isArray(value?.styles)) return value.styles;
+  return null;
+};
+
+/**
+ * Checks if a parsed value can be a V1 style rule (a plain object)
+ * @param {*} value - Parsed value
+ * @returns {boolean} True if the value is a non-array object
+ */
+const isStyleRule = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Extracts the first V1 style array from source text that is not plain JSON
+ * Each "[" or "{" is tried in order; the first literal that parses and holds a
+ * non-empty array of rule objects wins. An empty array (e.g. another argument
+ * of the call, as in `foo([], [...])`) is only used when no other array is
+ * found. Brackets nested in a literal that parsed are not retried.
+ * @param {string} text - Source text (e.g. a JavaScript snippet)
+ * @returns {Array|null} V1 style array or null if none was found
+ */
+const extractStyleArray = (text) => {
+  let emptyStyles = null;
+
+  for (let start = 0; start < text.length; start++) {
+    if (text[start] !== "[" && text[start] !== "{") continue;
+
+    const parser = createLiteralParser(text, start);
+    try {
+      const styles = getStyleArray(parser.parseValue());
+      if (styles?.length > 0 && styles.every(isStyleRule)) return styles;
+      if (styles?.length === 0) emptyStyles ??= styles;
+      start = parser.position() - 1;
+    } catch {
+      // Not a literal at this bracket; try the next one
+    }
+  }
+
+  return emptyStyles;
+};
+
+/**
+ * Normalizes V1 input to the array of V1 style rules
+ * Accepts a V1 style array, a wrapper object ({styles: [...]}), or text holding
+ * either as JSON or inside a JavaScript snippet
+ * @param {Array|Object|string} v1Input - V1 input
+ * @returns {Array} V1 style rules
+ */
+export const normalizeV1Input = (v1Input) => {
+  let parsed = v1Input;
+  if (typeof v1Input === "string") {
+    try {
+      parsed = JSON.parse(v1Input);
+    } catch (error) {
+      const styles = extractStyleArray(v1Input);
+      if (styles) return styles;
+      throw new Error(`Invalid JSON input: ${error.message}`);
+    }
+  }
+
+  const styles = getStyleArray(parsed);
+  if (!styles) {
+    throw new Error(
+      "V1 input must be an array of style rules or an object with a styles array"
+    );
+  }
+  return styles;
+};
+
+/**
+ * Checks whether a value is a V2 document rather than V1 input
+ * @param {*} value - Parsed value
+ * @returns {boolean} True for an object with a styles array of V2 entries (or a variant)
+ */
+const isV2Document = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  Array.isArray(value.styles) &&
+  (value.variant !== undefined ||
+    value.styles.some((style) => typeof style?.id === "string"));
+
+/**
+ * Gets the V2 document held by a style input, if it is one
+ * Strings are parsed as JSON; inputs that are not V2 documents (V1 arrays,
+ * wrappers or snippets) give null
+ * @param {Array|Object|string} input - V1 or V2 style input
+ * @returns {Object|null} V2 document or null
+ */
+export const getV2Document = (input) => {
+  let value = input;
+  if (typeof input === "string") {
+    try {
+      value = JSON.parse(input);
+    } catch {
+      return null;
+    }
+  }
+  return isV2Document(value) ? value : null;
+};
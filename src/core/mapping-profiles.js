@@ -0,0 +1,199 @@
+/**
+ * Mapping profiles for Google Maps V1 to V2 style conversion
+ * A profile supplies the featureType → V2 id and elementType → V2 property
+ * tables used by the converter. Built-in profiles can be extended or replaced
+ * by user overrides (plain JSON objects).
+ */
+
+import { getAllV2Ids, getDefaultMappingTables } from "./mapping.js";
+
+const DEFAULT_PROFILE_NAME = "faithful";
+
+/**
+ * featureType overrides of the "conservative" profile
+ * Each featureType maps only to the V2 subtrees it names, never to a broader
+ * parent (poi.business no longer restyles every point of interest)
+ * @type {Readonly<Object.<string, string|string[]>>}
+ */
+const conservativeFeatureTypes = Object.freeze({
+  "poi.business": [
+    "pointOfInterest.retail",
+    "pointOfInterest.service",
+    "pointOfInterest.foodAndDrink",
+    "pointOfInterest.lodging",
+  ],
+  "road.local": [
+    "infrastructure.roadNetwork.road.local",
+    "infrastructure.roadNetwork.road.noOutlet",
+  ],
+  "transit.station": "infrastructure.transitStation",
+});
+
+/**
+ * Built-in profile definitions, in the user override format
+ * @type {Readonly<Object.<string, Object>>}
+ */
+const builtInProfiles = Object.freeze({
+  faithful: Object.freeze({}),
+  conservative: Object.freeze({ featureTypes: conservativeFeatureTypes }),
+});
+
+// Cache resolved built-in profiles
+const cachedProfiles = new Map();
+
+// Profiles built here, which are already validated
+const resolvedProfiles = new WeakSet();
+
+/**
+ * Gets the names of the built-in mapping profiles
+ * @returns {string[]} Profile names
+ */
+export const getMappingProfileNames = () => Object.keys(builtInProfiles);
+
+/**
+ * Checks that every V2 id a featureType override maps to exists in the schema
+ * @param {string} featureType - V1 featureType
+ * @param {string|string[]} mapped - V2 id(s)
+ */
+const validateFeatureTypeMapping = (featureType, mapped) => {
+  const ids = Array.isArray(mapped) ? mapped : [mapped];
+  const allIds = getAllV2Ids();
+
+  if (ids.length === 0) {
+    throw new Error(
+      `Mapping profile maps featureType "${featureType}" to no V2 ids (use null to unmap it)`
+    );
+  }
+  for (const id of ids) {
+    if (!allIds.includes(id)) {
+      throw new Error(
+        `Mapping profile maps featureType "${featureType}" to unknown V2 id "${id}"`
+      );
+    }
+  }
+};
+
+/**
+ * Checks that an elementType override maps to a supported V2 property path
+ * @param {string} elementType - V1 elementType
+ * @param {string} path - V2 property path
+ */
+const validateElementTypeMapping = (elementType, path) => {
+  const { elementTypeMap } = getDefaultMappingTables();
+  if (!Object.values(elementTypeMap).includes(path)) {
+    throw new Error(
+      `Mapping profile maps elementType "${elementType}" to unsupported property "${path}"`
+    );
+  }
+};
+
+/**
+ * Applies overrides to a mapping table
+ * Null values remove a mapping; with `replace`, the overrides are the whole table
+ * @param {Object} table - Base table
+ * @param {Object|undefined} overrides - Overrides keyed like the table
+ * @param {boolean} replace - Whether the overrides replace the base table
+ * @param {Function} validate - Validates one (key, value) mapping
+ * @returns {Readonly<Object>} Frozen table
+ */
+const applyOverrides = (table, overrides, replace, validate) => {
+  if (overrides === undefined) return table;
+  if (
+    overrides === null ||
+    typeof overrides !== "object" ||
+    Array.isArray(overrides)
+  ) {
+    throw new Error("Mapping profile tables must be objects");
+  }
+
+  const result = replace ? {} : { ...table };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      validate(key, value);
+      result[key] = Array.isArray(value) ? Object.freeze([...value]) : value;
+    }
+  }
+  return Object.freeze(result);
+};
+
+/**
+ * Resolves a mapping profile definition against its base profile
+ * @param {Object} definition - Profile definition {extends?, replace?, featureTypes?, elementTypes?}
+ * @param {string} name - Profile name used in the resolved profile
+ * @returns {Readonly<Object>} Resolved profile {name, featureTypeMap, elementTypeMap}
+ */
+const buildProfile = (definition, name) => {
+  const base =
+    definition.extends === undefined
+      ? getDefaultMappingTables()
+      : resolveMappingProfile(definition.extends);
+  const replace = definition.replace === true;
+
+  const profile = Object.freeze({
+    name,
+    featureTypeMap: applyOverrides(
+      base.featureTypeMap,
+      definition.featureTypes,
+      replace,
+      validateFeatureTypeMapping
+    ),
+    elementTypeMap: applyOverrides(
+      base.elementTypeMap,
+      definition.elementTypes,
+      replace,
+      validateElementTypeMapping
+    ),
+  });
+  resolvedProfiles.add(profile);
+  return profile;
+};
+
+/**
+ * Resolves a mapping profile to the tables the converter uses
+ * Accepts a built-in profile name ("faithful", the default, or "conservative"),
+ * a resolved profile, or a user override object:
+ * {
+ *   extends?: "faithful" | "conservative",  // base profile (default "faithful")
+ *   replace?: boolean,                       // overrides replace the base tables
+ *   featureTypes?: {[featureType]: string | string[] | null},
+ *   elementTypes?: {[elementType]: string | null}
+ * }
+ * Null entries remove a mapping, so the converter drops those rules.
+ * Resolved profiles not built here are validated like override tables.
+ * @param {string|Object|null} [profile] - Profile name, definition or resolved profile
+ * @returns {Readonly<Object>} Resolved profile {name, featureTypeMap, elementTypeMap}
+ */
+export const resolveMappingProfile = (profile = null) => {
+  if (profile !== null && resolvedProfiles.has(profile)) return profile;
+  // Resolved profiles from elsewhere are checked like user overrides
+  if (profile?.featureTypeMap && profile?.elementTypeMap) {
+    return buildProfile(
+      {
+        replace: true,
+        featureTypes: profile.featureTypeMap,
+        elementTypes: profile.elementTypeMap,
+      },
+      profile.name ?? "custom"
+    );
+  }
+
+  const name = profile ?? DEFAULT_PROFILE_NAME;
+  if (typeof name === "string") {
+    if (!Object.hasOwn(builtInProfiles, name)) {
+      throw new Error(
+        `Unknown mapping profile "${name}" (expected one of: ${getMappingProfileNames().join(", ")})`
+      );
+    }
+    if (!cachedProfiles.has(name)) {
+      cachedProfiles.set(name, buildProfile(builtInProfiles[name], name));
+    }
+    return cachedProfiles.get(name);
+  }
+
+  if (typeof profile !== "object" || Array.isArray(profile)) {
+    throw new Error("Mapping profile must be a profile name or an object");
+  }
+  return buildProfile(profile, profile.name ?? "custom");
+};
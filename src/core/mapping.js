@@ -165,6 +165,20 @@ const featureTypeMap = Object.freeze({
   "transit.station.rail": "infrastructure.transitStation.railStation",
 });
 
+/**
+ * Preferred V1 featureType for V2 ids that several featureTypes map to
+ * The reverse (V2 to V1) mapping otherwise picks the featureType that maps the
+ * fewest ids, which for these ids is narrower than what the V2 id covers
+ * @type {Readonly<Object.<string, string>>}
+ */
+const reverseFeatureTypeOverrides = Object.freeze({
+  "infrastructure.roadNetwork.road.highway": "road.highway",
+  "natural.land": "landscape.natural",
+  "infrastructure.urbanArea": "landscape.man_made",
+  "infrastructure.businessCorridor": "landscape.man_made",
+  "infrastructure.transitStation": "transit.station",
+});
+
 /**
  * Maps V1 elementType to V2 property paths
  * For "geometry" element type, returns a special marker that requires feature-specific handling
@@ -191,38 +205,142 @@ const visibilityMap = Object.freeze({
   simplified: true,
 });
 
+/**
+ * Minimum zoom at which a simplified section is shown, per V2 id
+ * Used when V1 "simplified" visibility is converted to zoom-keyed visibility.
+ * Features inherit the entry of their nearest listed parent for each section;
+ * sections without an entry stay visible at every zoom.
+ * @type {Readonly<Object.<string, {geometry?: number, label?: number}>>}
+ */
+const simplifiedMinZoomMap = Object.freeze({
+  "infrastructure.roadNetwork": { label: 12 },
+  "infrastructure.roadNetwork.road.highway": { label: 8 },
+  "infrastructure.roadNetwork.road.arterial": { label: 13 },
+  "infrastructure.roadNetwork.road.local": { geometry: 13, label: 15 },
+  "infrastructure.roadNetwork.road.noOutlet": { geometry: 14, label: 16 },
+  "infrastructure.roadNetwork.noTraffic": { geometry: 15, label: 16 },
+  "infrastructure.roadNetwork.roadDetail": { geometry: 17, label: 17 },
+  "infrastructure.roadNetwork.parkingAisle": { geometry: 17 },
+  "infrastructure.roadNetwork.roadShield": { label: 10 },
+  "infrastructure.building": { geometry: 17, label: 17 },
+  "infrastructure.transitStation": { label: 14 },
+  pointOfInterest: { label: 15 },
+  "political.sublocality": { label: 12 },
+  "political.neighborhood": { label: 13 },
+  "political.landParcel": { geometry: 16 },
+});
+
+/**
+ * Formats a zoom level as a schema zoom key
+ * @param {number} zoom - Zoom level (0-22)
+ * @returns {string} Zoom key (z00-z22)
+ */
+const toZoomKey = (zoom) => `z${String(zoom).padStart(2, "0")}`;
+
+/**
+ * Gets the default featureType and elementType tables
+ * Mapping profiles (see mapping-profiles.js) start from these tables
+ * @returns {{featureTypeMap: Object, elementTypeMap: Object}} Frozen mapping tables
+ */
+export const getDefaultMappingTables = () => ({ featureTypeMap, elementTypeMap });
+
 /**
  * Gets V2 id from V1 featureType
  * @param {string} featureType - V1 featureType
+ * @param {Object|null} [profile] - Resolved mapping profile (defaults to the built-in tables)
  * @returns {string|string[]|null} V2 id(s) or null if not mapped
  */
-export const getV2Id = (featureType) =>
+export const getV2Id = (featureType, profile = null) =>
   !featureType || featureType === "all"
     ? null
-    : featureTypeMap[featureType] ?? null;
+    : (profile?.featureTypeMap ?? featureTypeMap)[featureType] ?? null;
+
+// Cache the reverse featureType index for performance
+let cachedReverseFeatureTypeMap = null;
+
+/**
+ * Builds the reverse index of featureTypeMap (V2 id to V1 featureType)
+ * When several featureTypes map an id, the one mapping the fewest ids wins,
+ * then the shorter featureType, unless reverseFeatureTypeOverrides names one
+ * @returns {Map<string, string>} Map of V2 id to V1 featureType
+ */
+const buildReverseFeatureTypeMap = () => {
+  const candidates = new Map();
+
+  for (const [featureType, mapped] of Object.entries(featureTypeMap)) {
+    const ids = Array.isArray(mapped) ? mapped : [mapped];
+    for (const id of ids) {
+      const current = candidates.get(id);
+      const isBetter =
+        !current ||
+        ids.length < current.size ||
+        (ids.length === current.size &&
+          featureType.length < current.featureType.length);
+      if (isBetter) {
+        candidates.set(id, { featureType, size: ids.length });
+      }
+    }
+  }
+
+  const reverseMap = new Map();
+  for (const [id, { featureType }] of candidates) {
+    reverseMap.set(id, reverseFeatureTypeOverrides[id] ?? featureType);
+  }
+  return reverseMap;
+};
+
+/**
+ * Gets the nearest V1 featureType for a V2 id
+ * Ids without a direct mapping resolve through their parents (most specific first)
+ * @param {string} v2Id - V2 feature ID
+ * @returns {string|null} V1 featureType or null if no parent is mapped
+ */
+export const getV1FeatureType = (v2Id) => {
+  cachedReverseFeatureTypeMap ??= buildReverseFeatureTypeMap();
+
+  const parts = v2Id.split(".");
+  for (let i = parts.length; i > 0; i--) {
+    const featureType = cachedReverseFeatureTypeMap.get(
+      parts.slice(0, i).join(".")
+    );
+    if (featureType) return featureType;
+  }
+  return null;
+};
 
 /**
  * Gets V2 property path(s) from V1 elementType
  * For "geometry" element type, returns an array of property paths based on feature capabilities
  * @param {string} elementType - V1 elementType
  * @param {string} [featureId] - Optional V2 feature ID for feature-specific mapping
+ * @param {Object|null} [profile] - Resolved mapping profile (defaults to the built-in tables)
  * @returns {string|string[]|null} V2 property path(s) or null if not mapped
  */
-export const getV2PropertyPath = (elementType, featureId = null) => {
+export const getV2PropertyPath = (
+  elementType,
+  featureId = null,
+  profile = null
+) => {
   if (!elementType || elementType === "all") {
     return null;
   }
 
-  const basePath = elementTypeMap[elementType];
+  const basePath = (profile?.elementTypeMap ?? elementTypeMap)[elementType];
   if (!basePath) {
     return null;
   }
 
-  // Special handling for "geometry" element type - requires feature-specific logic
-  if (elementType === "geometry" && featureId) {
+  // The "geometry.color" marker (elementType "geometry" by default) requires
+  // feature-specific logic
+  if (basePath === "geometry.color" && featureId) {
     return getGeometryPropertyPaths(featureId);
   }
 
+  // political.border is drawn as a line, so stroke colors style its color
+  if (featureId === "political.border" && basePath === "geometry.strokeColor") {
+    return "geometry.color";
+  }
+
   return basePath;
 };
 
@@ -270,6 +388,26 @@ export const getV2Visibility = (visibility) => {
   return visibilityMap[normalized] ?? null;
 };
 
+/**
+ * Gets zoom-keyed V2 visibility for a V1 "simplified" section
+ * Simplified sections are hidden below the feature's minimum zoom
+ * (e.g. road labels below z12) and shown from that zoom on
+ * @param {string} featureId - V2 feature ID
+ * @param {string} section - Section name ('geometry' or 'label')
+ * @returns {boolean|Object.<string, boolean>} Zoom-keyed visibility, or true if
+ * the section has no minimum zoom
+ */
+export const getV2SimplifiedVisibility = (featureId, section) => {
+  const parts = featureId.split(".");
+  for (let i = parts.length; i > 0; i--) {
+    const minZoom = simplifiedMinZoomMap[parts.slice(0, i).join(".")]?.[section];
+    if (minZoom !== undefined) {
+      return { [toZoomKey(0)]: false, [toZoomKey(minZoom)]: true };
+    }
+  }
+  return true;
+};
+
 /**
  * Extracts all feature IDs from the V2 CBMS schema
  * Parses the schema to find all "const" values in id fields
@@ -0,0 +1,291 @@
+/**
+ * Reverse conversion from V2 CBMS format to Google Maps V1 style JSON
+ * Collapses V2 feature IDs into their nearest V1 featureType and emits
+ * elementType/stylers rules
+ */
+
+import { getAllV2Ids, getV1FeatureType } from "./mapping.js";
+import {
+  isValidGeometryProperty,
+  isValidLabelProperty,
+} from "./feature-properties.js";
+import { MONOCHROME_SATURATION } from "./constants.js";
+
+// V1 featureType of rules that style every feature
+const ALL_FEATURE_TYPE = "all";
+
+/**
+ * Maps V2 geometry properties to V1 elementType and styler key
+ * Opacity properties have no V1 equivalent and are not listed
+ * @type {Readonly<Object.<string, {elementType: string, styler: string}>>}
+ */
+const geometryPropertyMap = Object.freeze({
+  visible: { elementType: "geometry", styler: "visibility" },
+  fillColor: { elementType: "geometry.fill", styler: "color" },
+  strokeColor: { elementType: "geometry.stroke", styler: "color" },
+  color: { elementType: "geometry.stroke", styler: "color" },
+  strokeWidth: { elementType: "geometry.stroke", styler: "weight" },
+});
+
+/**
+ * Maps V2 label properties to V1 elementType and styler key
+ * @type {Readonly<Object.<string, {elementType: string, styler: string}>>}
+ */
+const labelPropertyMap = Object.freeze({
+  visible: { elementType: "labels", styler: "visibility" },
+  textFillColor: { elementType: "labels.text.fill", styler: "color" },
+  textStrokeColor: { elementType: "labels.text.stroke", styler: "color" },
+  pinFillColor: { elementType: "labels.icon", styler: "color" },
+});
+
+/**
+ * Resolves a possibly zoom-keyed V2 value to a single value
+ * Zoom-keyed objects resolve to the value at their highest zoom key
+ * @param {*} value - V2 property value
+ * @returns {*} Scalar value
+ */
+const resolveZoomValue = (value) => {
+  if (value === null || typeof value !== "object") return value;
+
+  const zoomKeys = Object.keys(value).sort();
+  return value[zoomKeys[zoomKeys.length - 1]];
+};
+
+/**
+ * Converts a V2 visibility value to a V1 visibility styler value
+ * Zoom-keyed visibility that changes with zoom maps to "simplified"
+ * @param {boolean|Object} value - V2 visibility value
+ * @returns {string} 'on', 'off' or 'simplified'
+ */
+const toV1Visibility = (value) => {
+  if (value !== null && typeof value === "object") {
+    const values = new Set(Object.values(value));
+    if (values.size > 1) return "simplified";
+  }
+  return resolveZoomValue(value) ? "on" : "off";
+};
+
+/**
+ * Converts a V2 property value to a V1 styler value
+ * @param {string} stylerKey - V1 styler key
+ * @param {*} value - V2 property value
+ * @returns {*} V1 styler value
+ */
+const toV1StylerValue = (stylerKey, value) =>
+  stylerKey === "visibility" ? toV1Visibility(value) : resolveZoomValue(value);
+
+/**
+ * Gets the depth of a dotted ID (number of segments)
+ * @param {string} id - Dotted feature ID or featureType
+ * @returns {number} Depth
+ */
+const getDepth = (id) => id.split(".").length;
+
+/**
+ * Parses and validates V2 input
+ * @param {Object|string} v2Input - V2 style object or JSON string
+ * @returns {Object} Parsed V2 style object
+ */
+const parseV2Input = (v2Input) => {
+  let v2Style;
+  try {
+    v2Style = typeof v2Input === "string" ? JSON.parse(v2Input) : v2Input;
+  } catch (error) {
+    throw new Error(`Invalid JSON input: ${error.message}`);
+  }
+
+  if (
+    !v2Style ||
+    typeof v2Style !== "object" ||
+    Array.isArray(v2Style) ||
+    !Array.isArray(v2Style.styles)
+  ) {
+    throw new Error("V2 input must be an object with a styles array");
+  }
+
+  return v2Style;
+};
+
+/**
+ * Records the stylers of one V2 style section into the V1 rule map
+ * Values already recorded for a featureType/elementType pair are kept, so the
+ * shallowest V2 ID collapsed into a featureType wins
+ * @param {Map} ruleMap - Map of "featureType|elementType" to rule entries
+ * @param {string} featureType - V1 featureType
+ * @param {Object|undefined} section - V2 geometry or label section
+ * @param {Object} propertyMap - Property map for the section
+ */
+const collectSection = (ruleMap, featureType, section, propertyMap) => {
+  if (!section || typeof section !== "object") return;
+
+  for (const [property, value] of Object.entries(section)) {
+    const target = propertyMap[property];
+    if (!target || value === undefined) continue;
+
+    const key = `${featureType}|${target.elementType}`;
+    if (!ruleMap.has(key)) {
+      ruleMap.set(key, {
+        featureType,
+        elementType: target.elementType,
+        stylers: new Map(),
+      });
+    }
+
+    const { stylers } = ruleMap.get(key);
+    if (!stylers.has(target.styler)) {
+      stylers.set(target.styler, toV1StylerValue(target.styler, value));
+    }
+  }
+};
+
+/**
+ * Gets the V1 ancestor featureTypes of a featureType (most specific first)
+ * Every featureType except "all" itself has "all" as its last ancestor
+ * @param {string} featureType - V1 featureType
+ * @returns {string[]} Ancestor featureTypes
+ */
+const getV1Ancestors = (featureType) => {
+  if (featureType === ALL_FEATURE_TYPE) return [];
+
+  const parts = featureType.split(".");
+  const ancestors = [];
+  for (let i = parts.length - 1; i > 0; i--) {
+    ancestors.push(parts.slice(0, i).join("."));
+  }
+  return [...ancestors, ALL_FEATURE_TYPE];
+};
+
+/**
+ * Checks if a section property applies to a feature
+ * @param {string} id - V2 feature ID
+ * @param {string} section - Section name ('geometry' or 'label')
+ * @param {string} property - Property name
+ * @returns {boolean} True if the feature supports the property
+ */
+const isValidSectionProperty = (id, section, property) =>
+  section === "geometry"
+    ? isValidGeometryProperty(id, property)
+    : isValidLabelProperty(id, property);
+
+/**
+ * Records the values of root V2 IDs without a V1 featureType as "all" rules
+ * A V1 rule without a featureType styles every root, including roots without a
+ * featureType of their own (infrastructure, natural). A value is mapped back
+ * when those roots agree on it and every other root that supports it carries a
+ * value of its own, which its featureType's rules then restore.
+ * @param {Map} ruleMap - Map of "featureType|elementType" to rule entries
+ * @param {Object[]} styles - V2 styles
+ */
+const collectRootStylers = (ruleMap, styles) => {
+  const roots = getAllV2Ids()
+    .filter((id) => !id.includes("."))
+    .map((id) => styles.find((style) => style.id === id) ?? { id });
+  const unmapped = roots.filter((root) => !getV1FeatureType(root.id));
+  if (unmapped.length === 0) return;
+
+  for (const [section, propertyMap] of [
+    ["geometry", geometryPropertyMap],
+    ["label", labelPropertyMap],
+  ]) {
+    const values = new Map();
+    for (const root of unmapped) {
+      for (const [property, value] of Object.entries(root[section] ?? {})) {
+        if (!values.has(property)) values.set(property, value);
+      }
+    }
+
+    const shared = {};
+    for (const [property, value] of values) {
+      const applies = roots.filter((root) =>
+        isValidSectionProperty(root.id, section, property)
+      );
+      const agreed =
+        unmapped.every(
+          (root) =>
+            !applies.includes(root) ||
+            JSON.stringify(root[section]?.[property]) === JSON.stringify(value)
+        ) && applies.every((root) => root[section]?.[property] !== undefined);
+      if (agreed) shared[property] = value;
+    }
+    collectSection(ruleMap, ALL_FEATURE_TYPE, shared, propertyMap);
+  }
+};
+
+/**
+ * Removes stylers that the nearest ancestor featureType rule setting them
+ * already sets to the same value, and "on" visibility that no ancestor overrides
+ * (visible is the V1 default)
+ * @param {Map} ruleMap - Map of "featureType|elementType" to rule entries
+ */
+const removeInheritedStylers = (ruleMap) => {
+  for (const rule of ruleMap.values()) {
+    const ancestorStylers = getV1Ancestors(rule.featureType)
+      .map((ancestor) => ruleMap.get(`${ancestor}|${rule.elementType}`)?.stylers)
+      .filter(Boolean);
+
+    for (const [stylerKey, value] of rule.stylers) {
+      const inherited = ancestorStylers
+        .find((stylers) => stylers.has(stylerKey))
+        ?.get(stylerKey);
+      const isDefault =
+        inherited === undefined && stylerKey === "visibility" && value === "on";
+      if (inherited === value || isDefault) {
+        rule.stylers.delete(stylerKey);
+      }
+    }
+  }
+};
+
+/**
+ * Converts V2 CBMS JSON to Google Maps V1 style JSON
+ * V2 IDs are collapsed into their nearest V1 featureType; values all root IDs
+ * share become featureType "all" rules, and other values of IDs without a V1
+ * counterpart (e.g. natural.continent) are dropped. Zoom-keyed values use the
+ * value at the highest zoom, except visibility that changes with zoom, which
+ * becomes "simplified". Opacity properties have no V1 equivalent and are dropped.
+ * @param {Object|string} v2Input - V2 style object or JSON string
+ * @returns {Array} V1 style array
+ */
+export const convertV2ToV1 = (v2Input) => {
+  const v2Style = parseV2Input(v2Input);
+
+  const styles = v2Style.styles
+    .filter((style) => typeof style?.id === "string")
+    .sort((a, b) => getDepth(a.id) - getDepth(b.id));
+
+  const ruleMap = new Map();
+  collectRootStylers(ruleMap, styles);
+  for (const style of styles) {
+    const featureType = getV1FeatureType(style.id);
+    if (!featureType) continue;
+
+    collectSection(ruleMap, featureType, style.geometry, geometryPropertyMap);
+    collectSection(ruleMap, featureType, style.label, labelPropertyMap);
+  }
+
+  removeInheritedStylers(ruleMap);
+
+  // "all" rules first, then general featureTypes, each featureType's rules kept together
+  const featureTypeOrder = [
+    ...new Set([...ruleMap.values()].map((rule) => rule.featureType)),
+  ];
+  const rules = [...ruleMap.values()]
+    .filter((rule) => rule.stylers.size > 0)
+    .sort(
+      (a, b) =>
+        getDepth(a.featureType) - getDepth(b.featureType) ||
+        featureTypeOrder.indexOf(a.featureType) -
+          featureTypeOrder.indexOf(b.featureType)
+    )
+    .map(({ featureType, elementType, stylers }) => ({
+      featureType,
+      elementType,
+      stylers: [...stylers].map(([key, value]) => ({ [key]: value })),
+    }));
+
+  if (v2Style.monochrome === true) {
+    rules.unshift({ stylers: [{ saturation: MONOCHROME_SATURATION }] });
+  }
+
+  return rules;
+};
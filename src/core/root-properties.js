@@ -0,0 +1,49 @@
+/**
+ * Root-level property detection for Google Maps style conversion
+ * Derives the V2 backgroundColor and monochrome properties from V1 input and V2 output
+ */
+
+import { MONOCHROME_SATURATION } from "./constants.js";
+import { isGlobalRule } from "./style-utils.js";
+
+/**
+ * Feature IDs whose geometry fill determines the map background, most dominant first
+ * @type {readonly string[]}
+ */
+export const BACKGROUND_FEATURE_IDS = Object.freeze([
+  "natural.base",
+  "natural.land",
+  "natural",
+]);
+
+/**
+ * Detects the V2 backgroundColor from converted styles
+ * Uses the fill color of the dominant landscape feature, which is what is shown
+ * before tiles load
+ * @param {Object[]} styles - Converted V2 style entries
+ * @returns {string|null} Hex color (#RRGGBB) or null if the landscape is not styled
+ */
+export const detectBackgroundColor = (styles) => {
+  for (const featureId of BACKGROUND_FEATURE_IDS) {
+    const style = styles.find((s) => s.id === featureId);
+    const fillColor = style?.geometry?.fillColor;
+    if (typeof fillColor === "string" && style.geometry.visible !== false) {
+      return fillColor;
+    }
+  }
+  return null;
+};
+
+/**
+ * Detects whether a V1 style is monochrome
+ * A global rule with saturation -100 removes all color from the map
+ * @param {Array} v1Styles - V1 style array
+ * @returns {boolean} True if the style is monochrome
+ */
+export const detectMonochrome = (v1Styles) =>
+  v1Styles.some((rule) => {
+    if (!isGlobalRule(rule) || !Array.isArray(rule.stylers)) return false;
+    const mergedStyler = rule.stylers.reduce((acc, s) => ({ ...acc, ...s }), {});
+    const saturation = parseFloat(mergedStyler.saturation);
+    return !Number.isNaN(saturation) && saturation <= MONOCHROME_SATURATION;
+  });
@@ -0,0 +1,275 @@
+/**
+ * Style composition for layered V1/V2 styles
+ * Combines an ordered list of layers (V1 rule arrays and/or V2 documents) into
+ * one V2 document. Later layers override earlier ones per feature ID and
+ * property; a value set on a parent ID also replaces what earlier layers set
+ * for that property on its child IDs, since those would otherwise keep
+ * overriding the inherited value.
+ *
+ * Layers are resolved to V2 one by one, so V1 hue, saturation, lightness and
+ * gamma adjustments only adjust the colors of their own layer (and the default
+ * palette), never colors set by earlier layers.
+ */
+
+import { convertV1ToV2 } from "./converter.js";
+import { normalizeV1Input, getV2Document } from "./input-normalizer.js";
+import { minimizeStyles } from "./style-minimizer.js";
+import { materializeStyles } from "./style-materializer.js";
+import { compareFeatureIds } from "./v2-serializer.js";
+import { detectV2Variant } from "./variant-detection.js";
+import {
+  detectBackgroundColor,
+  BACKGROUND_FEATURE_IDS,
+} from "./root-properties.js";
+
+const SECTIONS = Object.freeze(["geometry", "label"]);
+const ROOT_PROPERTIES = Object.freeze(["backgroundColor", "monochrome"]);
+
+/**
+ * Checks whether a V1 rule sets visibility
+ * @param {Object} rule - V1 style rule
+ * @returns {boolean} True if one of its stylers has a visibility
+ */
+const hasVisibilityStyler = (rule) =>
+  Array.isArray(rule?.stylers) &&
+  rule.stylers.some((styler) => styler?.visibility !== undefined);
+
+/**
+ * Removes the visible values a converted V1 layer did not set explicitly
+ * The converter writes visible: true next to every color it writes; in a
+ * layer that value would un-hide what earlier layers hid, so only the
+ * visibility the layer's own visibility stylers produce is kept
+ * @param {Object} document - Converted V2 document (modified)
+ * @param {Array} v1Styles - V1 style array of the layer
+ * @param {Object} options - Conversion options for V1 layers
+ */
+const removeImplicitVisibility = (document, v1Styles, options) => {
+  const explicit = convertV1ToV2(v1Styles.filter(hasVisibilityStyler), {
+    ...options,
+    onWarning: () => {},
+  });
+  const explicitKeys = new Set(
+    explicit.styles.flatMap((style) =>
+      SECTIONS.filter((section) => style[section]?.visible !== undefined).map(
+        (section) => `${style.id}|${section}`
+      )
+    )
+  );
+
+  for (const style of document.styles) {
+    for (const section of SECTIONS) {
+      if (
+        style[section]?.visible === undefined ||
+        explicitKeys.has(`${style.id}|${section}`)
+      ) {
+        continue;
+      }
+      delete style[section].visible;
+      if (Object.keys(style[section]).length === 0) delete style[section];
+    }
+  }
+};
+
+/**
+ * Resolves one layer to a V2 document
+ * Strings are parsed as JSON when possible; anything that is not a V2
+ * document is treated as V1 input (see normalizeV1Input) and converted
+ * @param {Array|Object|string} layer - Layer value
+ * @param {number} index - Index of the layer
+ * @param {Object} options - Conversion options for V1 layers
+ * @returns {{type: string, document: Object}} Layer type ('v1' or 'v2') and V2 document
+ */
+const resolveLayer = (layer, index, options) => {
+  const v2Document = getV2Document(layer);
+  if (v2Document) {
+    for (const style of v2Document.styles) {
+      if (typeof style?.id !== "string") {
+        throw new Error(`Layer ${index}: V2 style entries must have an id`);
+      }
+    }
+    return { type: "v2", document: v2Document };
+  }
+
+  let v1Styles;
+  try {
+    v1Styles = normalizeV1Input(layer);
+  } catch (error) {
+    throw new Error(`Layer ${index}: ${error.message}`);
+  }
+
+  const document = convertV1ToV2(v1Styles, options);
+  removeImplicitVisibility(document, v1Styles, options);
+  return { type: "v1", document };
+};
+
+/**
+ * Checks whether a feature ID is the given ID or one of its children
+ * @param {string} id - V2 feature ID to test
+ * @param {string} parentId - V2 feature ID
+ * @returns {boolean} True if id equals parentId or is below it
+ */
+const isSelfOrChild = (id, parentId) =>
+  id === parentId || id.startsWith(`${parentId}.`);
+
+/**
+ * Composes layers into one V2 document and reports which layer won each property
+ * @param {Array} layers - Ordered layers (see composeStyles)
+ * @param {Object} options - Composition options (see composeStyles)
+ * @returns {{result: Object, report: Object}} V2 style object and composition report
+ */
+const runComposition = (layers, options) => {
+  if (!Array.isArray(layers)) {
+    throw new Error("Layers must be an array");
+  }
+  if (options.minimize && options.materialize) {
+    throw new Error("The minimize and materialize options cannot be combined");
+  }
+
+  const { minimize, materialize, ...conversionOptions } = options;
+
+  // property path ("section.property") → feature ID → {value, layer}
+  const values = new Map();
+  const rootValues = new Map();
+  const layerReports = layers.map((layer, index) => ({
+    index,
+    type: null,
+    won: [],
+    overridden: [],
+  }));
+
+  layers.forEach((layer, index) => {
+    const { type, document } = resolveLayer(layer, index, conversionOptions);
+    const layerReport = layerReports[index];
+    layerReport.type = type;
+
+    const recordOverride = (current, entry) => {
+      layerReports[current.layer].overridden.push({
+        ...entry,
+        value: current.value,
+        by: index,
+      });
+    };
+
+    for (const property of ROOT_PROPERTIES) {
+      if (document[property] === undefined) continue;
+
+      const current = rootValues.get(property);
+      if (current) recordOverride(current, { property });
+      rootValues.set(property, { value: document[property], layer: index });
+    }
+
+    const entries = [];
+    for (const style of document.styles) {
+      for (const section of SECTIONS) {
+        for (const [property, value] of Object.entries(style[section] ?? {})) {
+          entries.push({ id: style.id, path: `${section}.${property}`, value });
+        }
+      }
+    }
+
+    // Clear what earlier layers set on the written IDs and their children
+    // before writing, so this layer's own child values are kept
+    for (const { id, path } of entries) {
+      const byId = values.get(path);
+      if (!byId) continue;
+
+      for (const [featureId, current] of byId) {
+        if (current.layer === index || !isSelfOrChild(featureId, id)) continue;
+
+        recordOverride(current, { id: featureId, property: path });
+        byId.delete(featureId);
+      }
+    }
+
+    for (const { id, path, value } of entries) {
+      if (!values.has(path)) values.set(path, new Map());
+      values.get(path).set(id, { value, layer: index });
+    }
+  });
+
+  const stylesById = new Map();
+  for (const [path, byId] of values) {
+    const [section, property] = path.split(".");
+    for (const [id, { value, layer }] of byId) {
+      if (!stylesById.has(id)) stylesById.set(id, { id });
+      const style = stylesById.get(id);
+      style[section] ??= {};
+      style[section][property] = value;
+      layerReports[layer].won.push({ id, property: path, value });
+    }
+  }
+
+  const styles = [...stylesById.values()].sort((a, b) =>
+    compareFeatureIds(a.id, b.id)
+  );
+
+  // The composed landscape fill is the background; a layer's own
+  // backgroundColor is only kept when no layer styles the landscape
+  const background = detectBackgroundColor(styles);
+  const current = rootValues.get("backgroundColor");
+  if (background && current?.value !== background) {
+    const fills = values.get("geometry.fillColor");
+    const owner = BACKGROUND_FEATURE_IDS.map((id) => fills?.get(id)).find(
+      (fill) => fill?.value === background
+    ).layer;
+    if (current) {
+      layerReports[current.layer].overridden.push({
+        property: "backgroundColor",
+        value: current.value,
+        by: owner,
+      });
+    }
+    rootValues.set("backgroundColor", { value: background, layer: owner });
+  }
+
+  const result = { variant: detectV2Variant(styles) };
+  for (const property of ROOT_PROPERTIES) {
+    if (!rootValues.has(property)) continue;
+
+    const { value, layer } = rootValues.get(property);
+    layerReports[layer].won.push({ property, value });
+    // null (or monochrome: false) clears what earlier layers set
+    if (value !== null && value !== false) result[property] = value;
+  }
+
+  if (minimize) {
+    result.styles = minimizeStyles(styles);
+  } else if (materialize) {
+    result.styles = materializeStyles(styles);
+  } else {
+    result.styles = styles;
+  }
+
+  return { result, report: { layers: layerReports } };
+};
+
+/**
+ * Composes an ordered list of styles into one V2 document
+ * Each layer is a V1 style array, wrapper object or text (see convertV1ToV2),
+ * or a V2 document (object or JSON text). V1 layers are converted first.
+ * Later layers override earlier ones per feature ID and property, including
+ * the child IDs that inherit the property. The variant is detected from the
+ * composed styles (see detectV2Variant) and the backgroundColor from the
+ * composed landscape fill; otherwise backgroundColor and monochrome come from
+ * the last layer that sets them, and a V2 layer setting them to null (or
+ * monochrome to false) clears them. V1 HSL adjustments only apply within
+ * their own layer, and a V1 layer only changes visibility where its rules set
+ * visibility.
+ * @param {Array} layers - Ordered layers, base first
+ * @param {Object} [options] - Conversion options for V1 layers (see
+ * convertV1ToV2); minimize and materialize apply to the composed styles
+ * @returns {Object} V2 style object
+ */
+export const composeStyles = (layers, options = {}) =>
+  runComposition(layers, options).result;
+
+/**
+ * Composes styles (see composeStyles) and reports which layer won each property
+ * Each layer entry lists the properties it won and the values later layers
+ * overrode ({id, property, value, by}); root properties have no id
+ * @param {Array} layers - Ordered layers, base first
+ * @param {Object} [options] - Options (see composeStyles)
+ * @returns {{result: Object, report: {layers: Object[]}}} V2 style object and report
+ */
+export const composeStylesWithReport = (layers, options = {}) =>
+  runComposition(layers, options);
@@ -0,0 +1,76 @@
+/**
+ * Output materializer for V2 styles
+ * Expands converted styles to an explicit entry for every V2 feature ID with
+ * every property the feature supports, so the result does not rely on the
+ * renderer's parent-to-child inheritance
+ */
+
+import { getAllV2Ids } from "./mapping.js";
+import { getParentFeatureIds } from "./feature-id-utils.js";
+import { getValidProperties } from "./feature-properties.js";
+import { getDefaultValue } from "./default-palette.js";
+
+const SECTIONS = Object.freeze(["geometry", "label"]);
+
+/**
+ * Resolves the value of a property for a feature
+ * The feature's own value wins, then the value of its nearest styled parent
+ * (what the renderer would inherit), then the default table
+ * @param {Map<string, Object>} stylesById - Converted styles by feature ID
+ * @param {string} id - V2 feature ID
+ * @param {string} section - Section name ('geometry' or 'label')
+ * @param {string} property - Property name
+ * @returns {*} Property value, or null if neither the style nor the defaults set it
+ */
+const resolveValue = (stylesById, id, section, property) => {
+  for (const featureId of [id, ...getParentFeatureIds(id)]) {
+    const value = stylesById.get(featureId)?.[section]?.[property];
+    if (value !== undefined) return value;
+  }
+  return getDefaultValue(id, section, property);
+};
+
+/**
+ * Checks whether a property holds a color
+ * @param {string} property - Property name
+ * @returns {boolean} True for color, fillColor, textStrokeColor...
+ */
+const isColorProperty = (property) => /color$/i.test(property);
+
+/**
+ * Materializes V2 styles for every feature ID and supported property
+ * Entries follow getAllV2Ids order and properties the feature-properties order.
+ * Sections that resolve to visible: false get no colors, since they render none
+ * @param {Object[]} styles - V2 style entries (after cleanupStyle)
+ * @returns {Object[]} Materialized V2 style entries
+ */
+export const materializeStyles = (styles) => {
+  const stylesById = new Map(styles.map((style) => [style.id, style]));
+  const materialized = [];
+
+  for (const id of getAllV2Ids()) {
+    const style = { id };
+
+    for (const section of SECTIONS) {
+      const isHidden =
+        resolveValue(stylesById, id, section, "visible") === false;
+
+      for (const property of getValidProperties(id, section)) {
+        // Hidden sections render no colors
+        if (isHidden && isColorProperty(property)) continue;
+
+        const value = resolveValue(stylesById, id, section, property);
+        if (value === null) continue;
+
+        style[section] ??= {};
+        style[section][property] = value;
+      }
+    }
+
+    if (style.geometry || style.label) {
+      materialized.push(style);
+    }
+  }
+
+  return materialized;
+};
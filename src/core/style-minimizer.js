@@ -0,0 +1,73 @@
+/**
+ * Output minimizer for V2 styles
+ * V2 feature IDs inherit the properties of their parent IDs, so a child entry
+ * that repeats what it would inherit is redundant. Minimizing removes those
+ * properties (and entries left empty) without changing how the map renders.
+ */
+
+import { getParentFeatureIds } from "./feature-id-utils.js";
+
+const SECTIONS = Object.freeze(["geometry", "label"]);
+
+/**
+ * Gets the depth of a feature ID in the hierarchy
+ * @param {string} id - V2 feature ID
+ * @returns {number} Number of ID segments
+ */
+const getDepth = (id) => id.split(".").length;
+
+/**
+ * Gets the value a feature inherits for a property from its nearest styled ancestor
+ * @param {string} id - V2 feature ID
+ * @param {string} key - Property key ("section.property")
+ * @param {Map<string, Map<string, string>>} effective - Serialized effective values per feature ID
+ * @returns {string|undefined} Serialized inherited value, undefined if nothing is inherited
+ */
+const getInheritedValue = (id, key, effective) => {
+  for (const parentId of getParentFeatureIds(id)) {
+    const value = effective.get(parentId)?.get(key);
+    if (value !== undefined) return value;
+  }
+  return undefined;
+};
+
+/**
+ * Removes style properties that equal what the feature inherits from its parents
+ * Features are visited parents first; properties are compared by value (zoom-keyed
+ * values included), and entries without properties left are removed. Entry
+ * order is preserved.
+ * @param {Object[]} styles - V2 style entries (after cleanupStyle)
+ * @returns {Object[]} Minimized V2 style entries
+ */
+export const minimizeStyles = (styles) => {
+  const effective = new Map();
+  const minimized = new Map();
+  const byDepth = [...styles].sort((a, b) => getDepth(a.id) - getDepth(b.id));
+
+  for (const style of byDepth) {
+    const values = new Map();
+    const result = { id: style.id };
+
+    for (const section of SECTIONS) {
+      for (const [property, value] of Object.entries(style[section] ?? {})) {
+        const key = `${section}.${property}`;
+        const serialized = JSON.stringify(value);
+        values.set(key, serialized);
+
+        if (getInheritedValue(style.id, key, effective) !== serialized) {
+          result[section] ??= {};
+          result[section][property] = value;
+        }
+      }
+    }
+
+    effective.set(style.id, values);
+    if (result.geometry || result.label) {
+      minimized.set(style, result);
+    }
+  }
+
+  return styles
+    .filter((style) => minimized.has(style))
+    .map((style) => minimized.get(style));
+};
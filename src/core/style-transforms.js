@@ -0,0 +1,263 @@
+/**
+ * Transform pipeline for V2 CBMS styles
+ * Derives style variants (muted, grayscale, night...) by running color
+ * operations over a V2 document, either over the whole style or over subtrees
+ * of the feature hierarchy. Steps are plain objects, so pipelines can be kept
+ * in JSON files:
+ * [{ "op": "desaturate", "value": 40 }, { "op": "darken", "value": 20, "target": "natural" }]
+ */
+
+import { getAllV2Ids } from "./mapping.js";
+import { getParentFeatureIds } from "./feature-id-utils.js";
+import { getValidProperties } from "./feature-properties.js";
+import { getDefaultColor } from "./default-palette.js";
+import {
+  applyGamma,
+  applyHslAdjustments,
+  hexToHsl,
+  hslToHex,
+  invertLightness,
+  invertPerceptualLightness,
+  parseColor,
+} from "../utils/color-utils.js";
+
+const SECTIONS = Object.freeze(["geometry", "label"]);
+
+const INVERTING_OPERATIONS = Object.freeze(["invert", "invertPerceptual"]);
+
+const COLOR_PROPERTIES = Object.freeze([
+  "color",
+  "fillColor",
+  "strokeColor",
+  "pinFillColor",
+  "textFillColor",
+  "textStrokeColor",
+]);
+
+/**
+ * Reads the numeric value of a step
+ * @param {Object} step - Transform step
+ * @returns {number} Step value
+ */
+const getStepValue = (step) => {
+  const value = Number(step.value);
+  if (step.value === undefined || step.value === null || Number.isNaN(value)) {
+    throw new Error(`Transform "${step.op}" requires a numeric value`);
+  }
+  return value;
+};
+
+/**
+ * Color operations by name
+ * Each takes a step and returns a function mapping a hex color to a new one
+ * @type {Readonly<Object.<string, Function>>}
+ */
+const operations = Object.freeze({
+  hueRotate: (step) => {
+    const degrees = getStepValue(step);
+    return (color) => {
+      const { h } = hexToHsl(color);
+      const rotated = (((h + degrees) % 360) + 360) % 360;
+      return applyHslAdjustments(color, 0, 0, hslToHex(rotated, 100, 50));
+    };
+  },
+  desaturate: (step) => {
+    const amount = getStepValue(step);
+    return (color) => applyHslAdjustments(color, 0, -amount);
+  },
+  darken: (step) => {
+    const amount = getStepValue(step);
+    return (color) => applyHslAdjustments(color, -amount, 0);
+  },
+  gamma: (step) => {
+    const gamma = getStepValue(step);
+    if (gamma <= 0) {
+      throw new Error('Transform "gamma" requires a value above 0');
+    }
+    return (color) => applyGamma(color, gamma);
+  },
+  invert: () => invertLightness,
+  invertPerceptual: () => invertPerceptualLightness,
+  grayscale: () => (color) => applyHslAdjustments(color, 0, -100),
+});
+
+/**
+ * Gets the names of the transform operations
+ * @returns {string[]} Operation names
+ */
+export const getTransformOperations = () => Object.keys(operations);
+
+/**
+ * Builds the feature ID matcher of a step target
+ * "natural" matches natural and every ID below it; "natural.*" only the IDs
+ * below it. Without a target, every ID matches.
+ * @param {string|string[]|undefined} target - Target ID pattern(s)
+ * @returns {Function|null} Matcher (id) => boolean, null for the whole style
+ */
+const createTargetMatcher = (target) => {
+  if (target === undefined || target === null) return null;
+
+  const patterns = Array.isArray(target) ? target : [target];
+  const allIds = getAllV2Ids();
+  const matchers = patterns.map((pattern) => {
+    const childrenOnly = typeof pattern === "string" && pattern.endsWith(".*");
+    const id = childrenOnly ? pattern.slice(0, -2) : pattern;
+    if (!allIds.includes(id)) {
+      throw new Error(`Unknown transform target "${pattern}"`);
+    }
+    return (featureId) =>
+      featureId.startsWith(`${id}.`) || (!childrenOnly && featureId === id);
+  });
+
+  return (featureId) => matchers.some((matches) => matches(featureId));
+};
+
+/**
+ * Maps a color value, including zoom-keyed values
+ * @param {*} value - Property value
+ * @param {Function} mapColor - Maps a hex color
+ * @returns {*} Mapped value (non-color values are returned as is)
+ */
+const mapColorValue = (value, mapColor) => {
+  if (typeof value === "string") {
+    return parseColor(value) ? mapColor(parseColor(value).hex) : value;
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key, mapColorValue(v, mapColor)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Resolves the value a feature renders with for a color property
+ * @param {Map<string, Object>} stylesById - Styles by feature ID
+ * @param {string} id - V2 feature ID
+ * @param {string} section - Section name ('geometry' or 'label')
+ * @param {string} property - Color property name
+ * @returns {*} Own value, inherited value or default color (null if none)
+ */
+const resolveColor = (stylesById, id, section, property) => {
+  for (const featureId of [id, ...getParentFeatureIds(id)]) {
+    const value = stylesById.get(featureId)?.[section]?.[property];
+    if (value !== undefined) return value;
+  }
+  return getDefaultColor(id, section, property);
+};
+
+/**
+ * Resolves the visibility a feature's section renders with
+ * @param {Map<string, Object>} stylesById - Styles by feature ID
+ * @param {string} id - V2 feature ID
+ * @param {string} section - Section name ('geometry' or 'label')
+ * @returns {*} Own or inherited visible value (true if neither is set)
+ */
+const resolveVisibility = (stylesById, id, section) => {
+  for (const featureId of [id, ...getParentFeatureIds(id)]) {
+    const visible = stylesById.get(featureId)?.[section]?.visible;
+    if (visible !== undefined) return visible;
+  }
+  return true;
+};
+
+/**
+ * Applies one step to a V2 style
+ * Every matched feature gets the transformed color it renders with (its own,
+ * inherited or default color); colors are written only where the feature
+ * would not already render the transformed value, and not on hidden sections
+ * @param {Object} v2Json - V2 style object (not modified)
+ * @param {Object} step - Transform step {op, value?, target?}
+ * @returns {Object} Transformed V2 style
+ */
+const applyStep = (v2Json, step) => {
+  if (!step || !Object.hasOwn(operations, step.op)) {
+    throw new Error(
+      `Unknown transform "${step?.op}" (expected one of: ${getTransformOperations().join(", ")})`
+    );
+  }
+
+  const mapColor = operations[step.op](step);
+  const matches = createTargetMatcher(step.target);
+  const result = structuredClone(v2Json);
+  result.styles = Array.isArray(result.styles) ? result.styles : [];
+
+  const original = new Map(result.styles.map((style) => [style.id, style]));
+  const transformed = new Map(
+    result.styles.map((style) => [style.id, structuredClone(style)])
+  );
+
+  for (const id of getAllV2Ids()) {
+    if (matches && !matches(id)) continue;
+
+    for (const section of SECTIONS) {
+      // Hidden sections render no colors
+      if (resolveVisibility(original, id, section) === false) continue;
+
+      for (const property of getValidProperties(id, section)) {
+        if (!COLOR_PROPERTIES.includes(property)) continue;
+
+        const value = resolveColor(original, id, section, property);
+        if (value === null) continue;
+
+        const mapped = mapColorValue(value, mapColor);
+        const inherited = getParentFeatureIds(id)
+          .map((parentId) => transformed.get(parentId)?.[section]?.[property])
+          .find((parentValue) => parentValue !== undefined);
+        const ownValue = original.get(id)?.[section]?.[property];
+        if (
+          ownValue === undefined &&
+          JSON.stringify(inherited ?? value) === JSON.stringify(mapped)
+        ) {
+          continue;
+        }
+
+        if (!transformed.has(id)) transformed.set(id, { id });
+        const style = transformed.get(id);
+        style[section] ??= {};
+        style[section][property] = mapped;
+      }
+    }
+  }
+
+  result.styles = [
+    ...result.styles.map((style) => transformed.get(style.id) ?? style),
+    ...[...transformed.values()].filter((style) => !original.has(style.id)),
+  ];
+
+  if (!matches) {
+    if (typeof result.backgroundColor === "string") {
+      result.backgroundColor = mapColorValue(result.backgroundColor, mapColor);
+    }
+    if (INVERTING_OPERATIONS.includes(step.op) && result.variant) {
+      result.variant = result.variant === "dark" ? "light" : "dark";
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Runs a transform pipeline over a V2 style
+ * Steps run in order, each on the result of the previous one:
+ * - { op: "hueRotate", value: degrees }
+ * - { op: "desaturate", value: 0-100 }
+ * - { op: "darken", value: -100-100 } (negative values lighten)
+ * - { op: "gamma", value: gamma } (above 1 brightens)
+ * - { op: "invert" } (lightness, like V1 invert_lightness; flips the variant)
+ * - { op: "invertPerceptual" } (CIELAB lightness, keeping hue; flips the variant)
+ * - { op: "grayscale" }
+ * A step's optional target limits it to subtrees of the feature hierarchy
+ * ("natural" for natural and its children, "natural.*" for its children only,
+ * or an array of those). Colors features inherit or take from the default
+ * palette are transformed too, so the result renders transformed throughout.
+ * @param {Object} v2Json - V2 style object (not modified)
+ * @param {Object[]} steps - Transform steps
+ * @returns {Object} Transformed V2 style
+ */
+export const transformStyle = (v2Json, steps) => {
+  if (!Array.isArray(steps)) {
+    throw new Error("Transform steps must be an array");
+  }
+  return steps.reduce(applyStep, v2Json);
+};
@@ -51,6 +51,15 @@ export const validateRuleTypes = (featureType, elementType) => {
   return true;
 };
 
+/**
+ * Checks if a V1 rule applies to the whole map (no featureType or elementType)
+ * @param {Object} rule - V1 style rule
+ * @returns {boolean} True if the rule is global
+ */
+export const isGlobalRule = (rule) =>
+  (!rule?.featureType || rule.featureType === "all") &&
+  (!rule?.elementType || rule.elementType === "all");
+
 /**
  * Gets or creates a style object for a feature ID
  * @param {Map} v2StylesMap - Map of feature IDs to styles
@@ -153,15 +162,16 @@ export const setDefaultTransitVisibility = (v2StylesMap, directlyMappedIds) => {
  * Only tracks IDs that are directly mapped from v1 featureTypes, not those
  * included through parent expansion
  * @param {Array} rules - Array of V1 rules
+ * @param {Object|null} [profile] - Resolved mapping profile (defaults to the built-in tables)
  * @returns {Set} Set of directly mapped feature IDs
  */
-export const trackDirectlyMappedIds = (rules) => {
+export const trackDirectlyMappedIds = (rules, profile = null) => {
   const directlyMappedIds = new Set();
   for (const rule of rules) {
     if (!rule.featureType || rule.featureType === "all") {
       continue; // Skip "all" rules as they don't directly map to specific features
     }
-    const mappedId = getV2Id(rule.featureType);
+    const mappedId = getV2Id(rule.featureType, profile);
     if (!mappedId) continue;
 
     // Only track the direct mappings, not expanded children
@@ -0,0 +1,271 @@
+/**
+ * Lint engine for V2 CBMS styles
+ * Flags styles that are schema-valid but contradictory or ineffective. Each
+ * rule has a default severity that a config object can change or turn off:
+ * { "rules": { "hiddenSectionColor": "off", "hiddenStrokeWidth": "error" } }
+ */
+
+import {
+  isValidGeometryProperty,
+  isValidLabelProperty,
+} from "./feature-properties.js";
+import { getParentFeatureIds } from "./feature-id-utils.js";
+
+const SECTIONS = Object.freeze(["geometry", "label"]);
+
+/**
+ * Severities a rule can be configured with
+ * @type {readonly string[]}
+ */
+export const LINT_SEVERITIES = Object.freeze(["off", "warn", "error"]);
+
+/**
+ * Iterates the sections of the style entries of a V2 document
+ * @param {Object} v2Json - V2 style object
+ * @returns {Array<{style: Object, index: number, section: string, values: Object}>} Sections that are objects
+ */
+const getSections = (v2Json) => {
+  const sections = [];
+  (Array.isArray(v2Json?.styles) ? v2Json.styles : []).forEach(
+    (style, index) => {
+      for (const section of SECTIONS) {
+        const values = style?.[section];
+        if (values !== null && typeof values === "object") {
+          sections.push({ style, index, section, values });
+        }
+      }
+    }
+  );
+  return sections;
+};
+
+/**
+ * Flags colors set on a section that is hidden
+ * @param {Object} v2Json - V2 style object
+ * @returns {Object[]} Problems {message, id, index, property}
+ */
+const checkHiddenSectionColor = (v2Json) =>
+  getSections(v2Json)
+    .filter(({ values }) => values.visible === false)
+    .flatMap(({ style, index, section, values }) =>
+      Object.keys(values)
+        .filter((property) => property.endsWith("Color"))
+        .map((property) => ({
+          message: `${section}.${property} is set but ${section} is hidden`,
+          id: style.id,
+          index,
+          property: `${section}.${property}`,
+        }))
+    );
+
+/**
+ * Flags style entries that repeat an earlier entry's ID
+ * @param {Object} v2Json - V2 style object
+ * @returns {Object[]} Problems {message, id, index}
+ */
+const checkDuplicateId = (v2Json) => {
+  const firstIndex = new Map();
+  const problems = [];
+
+  (Array.isArray(v2Json?.styles) ? v2Json.styles : []).forEach(
+    (style, index) => {
+      if (typeof style?.id !== "string") return;
+
+      if (firstIndex.has(style.id)) {
+        problems.push({
+          message: `Duplicate ID (first used by style #${firstIndex.get(style.id)})`,
+          id: style.id,
+          index,
+        });
+      } else {
+        firstIndex.set(style.id, index);
+      }
+    }
+  );
+  return problems;
+};
+
+/**
+ * Flags strokeWidth set on hidden geometry
+ * @param {Object} v2Json - V2 style object
+ * @returns {Object[]} Problems {message, id, index, property}
+ */
+const checkHiddenStrokeWidth = (v2Json) =>
+  getSections(v2Json)
+    .filter(
+      ({ section, values }) =>
+        section === "geometry" &&
+        values.visible === false &&
+        values.strokeWidth !== undefined
+    )
+    .map(({ style, index }) => ({
+      message: "geometry.strokeWidth is set but geometry is hidden",
+      id: style.id,
+      index,
+      property: "geometry.strokeWidth",
+    }));
+
+/**
+ * Flags children that show a section their nearest parent entry hides
+ * @param {Object} v2Json - V2 style object
+ * @returns {Object[]} Problems {message, id, index, property}
+ */
+const checkHiddenParentContradiction = (v2Json) => {
+  const sections = getSections(v2Json);
+  const visibility = new Map();
+  for (const { style, section, values } of sections) {
+    const key = `${style.id}|${section}`;
+    if (values.visible !== undefined && !visibility.has(key)) {
+      visibility.set(key, values.visible);
+    }
+  }
+
+  return sections
+    .filter(
+      ({ style, values }) =>
+        values.visible === true && typeof style.id === "string"
+    )
+    .flatMap(({ style, index, section }) => {
+      const parentId = getParentFeatureIds(style.id).find((id) =>
+        visibility.has(`${id}|${section}`)
+      );
+      if (!parentId || visibility.get(`${parentId}|${section}`) !== false) {
+        return [];
+      }
+      return [
+        {
+          message: `${section} is visible but parent ${parentId} hides it`,
+          id: style.id,
+          index,
+          property: `${section}.visible`,
+        },
+      ];
+    });
+};
+
+/**
+ * Flags properties the feature does not support
+ * @param {Object} v2Json - V2 style object
+ * @returns {Object[]} Problems {message, id, index, property}
+ */
+const checkInvalidProperty = (v2Json) =>
+  getSections(v2Json)
+    .filter(({ style }) => typeof style.id === "string")
+    .flatMap(({ style, index, section, values }) => {
+      const isValid =
+        section === "geometry" ? isValidGeometryProperty : isValidLabelProperty;
+      return Object.keys(values)
+        .filter((property) => !isValid(style.id, property))
+        .map((property) => ({
+          message: `${section}.${property} is not supported by ${style.id}`,
+          id: style.id,
+          index,
+          property: `${section}.${property}`,
+        }));
+    });
+
+/**
+ * Lint rules by name
+ * @type {Readonly<Object.<string, {description: string, severity: string, check: Function}>>}
+ */
+const lintRules = Object.freeze({
+  hiddenSectionColor: Object.freeze({
+    description: "Colors set on a section that is visible: false",
+    severity: "warn",
+    check: checkHiddenSectionColor,
+  }),
+  duplicateId: Object.freeze({
+    description: "Several style entries with the same ID",
+    severity: "error",
+    check: checkDuplicateId,
+  }),
+  hiddenStrokeWidth: Object.freeze({
+    description: "strokeWidth set on hidden geometry",
+    severity: "warn",
+    check: checkHiddenStrokeWidth,
+  }),
+  hiddenParentContradiction: Object.freeze({
+    description: "Children that show a section their parent hides",
+    severity: "warn",
+    check: checkHiddenParentContradiction,
+  }),
+  invalidProperty: Object.freeze({
+    description: "Properties the feature does not support",
+    severity: "error",
+    check: checkInvalidProperty,
+  }),
+});
+
+/**
+ * Gets the lint rule names with their descriptions and default severities
+ * @returns {Array<{name: string, description: string, severity: string}>} Lint rules
+ */
+export const getLintRules = () =>
+  Object.entries(lintRules).map(([name, { description, severity }]) => ({
+    name,
+    description,
+    severity,
+  }));
+
+/**
+ * Resolves a lint config to the severity of every rule
+ * @param {Object} [config] - Lint config {rules?: {[ruleName]: "off"|"warn"|"error"}}
+ * @returns {Object.<string, string>} Severity by rule name
+ */
+export const resolveLintConfig = (config = {}) => {
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("Lint config must be an object");
+  }
+
+  const rules = config.rules ?? {};
+  if (rules === null || typeof rules !== "object" || Array.isArray(rules)) {
+    throw new Error("Lint config rules must be an object");
+  }
+
+  const severities = Object.fromEntries(
+    Object.entries(lintRules).map(([name, rule]) => [name, rule.severity])
+  );
+  for (const [name, severity] of Object.entries(rules)) {
+    if (!Object.hasOwn(lintRules, name)) {
+      throw new Error(
+        `Unknown lint rule "${name}" (expected one of: ${Object.keys(lintRules).join(", ")})`
+      );
+    }
+    if (!LINT_SEVERITIES.includes(severity)) {
+      throw new Error(
+        `Invalid severity "${severity}" for lint rule "${name}" (expected one of: ${LINT_SEVERITIES.join(", ")})`
+      );
+    }
+    severities[name] = severity;
+  }
+  return severities;
+};
+
+/**
+ * Lints a V2 style
+ * Problems are ordered by style entry, then rule
+ * @param {Object} v2Json - V2 style object
+ * @param {Object} [config] - Lint config (see resolveLintConfig)
+ * @returns {{problems: Object[], errorCount: number, warningCount: number}} Problems
+ * {rule, severity, message, id?, index?, property?} and counts per severity
+ */
+export const lintV2 = (v2Json, config = {}) => {
+  const severities = resolveLintConfig(config);
+  const problems = [];
+
+  for (const [name, rule] of Object.entries(lintRules)) {
+    if (severities[name] === "off") continue;
+
+    for (const problem of rule.check(v2Json)) {
+      problems.push({ rule: name, severity: severities[name], ...problem });
+    }
+  }
+
+  problems.sort((a, b) => (a.index ?? -1) - (b.index ?? -1));
+
+  return {
+    problems,
+    errorCount: problems.filter((p) => p.severity === "error").length,
+    warningCount: problems.filter((p) => p.severity === "warn").length,
+  };
+};
@@ -0,0 +1,124 @@
+/**
+ * Canonical serializer for V2 CBMS styles
+ * Produces the same text for equivalent styles regardless of the order rules
+ * were processed in: styles sorted by feature hierarchy, properties in a fixed
+ * order and hex colors in lowercase, so committed V2 files diff cleanly
+ */
+
+/**
+ * Order of root, style entry and section properties
+ * Properties not listed follow in alphabetical order
+ * @type {Readonly<Object.<string, readonly string[]>>}
+ */
+const PROPERTY_ORDER = Object.freeze({
+  root: Object.freeze(["variant", "backgroundColor", "monochrome", "styles"]),
+  style: Object.freeze(["id", "geometry", "label"]),
+  geometry: Object.freeze([
+    "visible",
+    "color",
+    "fillColor",
+    "fillOpacity",
+    "strokeColor",
+    "strokeOpacity",
+    "strokeWidth",
+  ]),
+  label: Object.freeze([
+    "visible",
+    "pinFillColor",
+    "textFillColor",
+    "textFillOpacity",
+    "textStrokeColor",
+    "textStrokeOpacity",
+  ]),
+});
+
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+/**
+ * Compares two V2 feature IDs by hierarchy
+ * Parents sort before their children; siblings sort alphabetically
+ * @param {string} a - V2 feature ID
+ * @param {string} b - V2 feature ID
+ * @returns {number} Negative if a sorts first, positive if b sorts first, 0 if equal
+ */
+export const compareFeatureIds = (a, b) => {
+  const aParts = a.split(".");
+  const bParts = b.split(".");
+
+  for (let i = 0; i < Math.min(aParts.length, bParts.length); i++) {
+    if (aParts[i] !== bParts[i]) return aParts[i] < bParts[i] ? -1 : 1;
+  }
+  return aParts.length - bParts.length;
+};
+
+/**
+ * Copies an object with its keys in canonical order
+ * @param {Object} object - Object to copy
+ * @param {readonly string[]} order - Keys in the order they come first
+ * @param {Function} mapValue - Maps each (value, key) to its canonical form
+ * @returns {Object} Copy with ordered keys
+ */
+const orderKeys = (object, order, mapValue) => {
+  const keys = Object.keys(object).sort((a, b) => {
+    const aIndex = order.includes(a) ? order.indexOf(a) : order.length;
+    const bIndex = order.includes(b) ? order.indexOf(b) : order.length;
+    if (aIndex !== bIndex) return aIndex - bIndex;
+    return a < b ? -1 : a > b ? 1 : 0;
+  });
+
+  const ordered = {};
+  for (const key of keys) {
+    ordered[key] = mapValue(object[key], key);
+  }
+  return ordered;
+};
+
+/**
+ * Canonicalizes a property value: lowercase hex colors, sorted zoom keys
+ * @param {*} value - V2 property value (scalar or zoom-keyed object)
+ * @returns {*} Canonical value
+ */
+const canonicalizeValue = (value) => {
+  if (typeof value === "string" && HEX_COLOR_PATTERN.test(value)) {
+    return value.toLowerCase();
+  }
+  if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+    return orderKeys(value, [], canonicalizeValue);
+  }
+  return value;
+};
+
+/**
+ * Canonicalizes one V2 style entry
+ * @param {Object} style - V2 style entry
+ * @returns {Object} Canonical style entry
+ */
+const canonicalizeStyle = (style) =>
+  orderKeys(style, PROPERTY_ORDER.style, (value, key) =>
+    PROPERTY_ORDER[key] && value !== null && typeof value === "object"
+      ? orderKeys(value, PROPERTY_ORDER[key], canonicalizeValue)
+      : value
+  );
+
+/**
+ * Returns a canonical copy of a V2 style
+ * @param {Object} v2Style - V2 style object
+ * @returns {Object} V2 style with canonical ordering and hex case
+ */
+export const canonicalizeV2 = (v2Style) =>
+  orderKeys(v2Style, PROPERTY_ORDER.root, (value, key) =>
+    key === "styles" && Array.isArray(value)
+      ? [...value]
+          .sort((a, b) => compareFeatureIds(String(a?.id), String(b?.id)))
+          .map(canonicalizeStyle)
+      : canonicalizeValue(value)
+  );
+
+/**
+ * Serializes a V2 style to canonical JSON text
+ * Two-space indentation with a trailing newline
+ * @param {Object} v2Style - V2 style object
+ * @returns {string} Canonical JSON text
+ */
+export const serializeV2 = (v2Style) =>
+  `${JSON.stringify(canonicalizeV2(v2Style), null, 2)}\n`;
@@ -1,13 +1,24 @@
 /**
  * Variant detection for Google Maps styles
- * Detects light/dark variant from V1 style data
+ * Detects light/dark variant from V1 style data or V2 styles
  */
 
-import { hexToHsl, normalizeHex } from "../utils/color-utils.js";
+import {
+  hexToHsl,
+  parseColor,
+  isInvertLightness,
+} from "../utils/color-utils.js";
 import { LIGHTNESS_THRESHOLD } from "./constants.js";
+import { getDefaultColor } from "./default-palette.js";
+import { isGlobalRule } from "./style-utils.js";
+import { detectBackgroundColor } from "./root-properties.js";
+import { materializeStyles } from "./style-materializer.js";
 
 /**
  * Detects variant (light/dark) from V1 style data
+ * Colors whose rule sets invert_lightness are counted with inverted lightness.
+ * A global invert_lightness rule also inverts the default base map, which is
+ * counted as an extra sample so styles with few explicit colors still read as dark.
  * @param {Array} v1Styles - V1 style array
  * @returns {string} 'light' or 'dark'
  */
@@ -23,13 +34,25 @@ export const detectVariant = (v1Styles) => {
     const stylers = style?.stylers;
     if (!Array.isArray(stylers)) continue;
 
+    const inverts = stylers.some((styler) =>
+      isInvertLightness(styler?.invert_lightness)
+    );
+
     for (const styler of stylers) {
-      if (styler?.color) {
-        const hsl = hexToHsl(normalizeHex(styler.color));
-        totalLightness += hsl.l;
+      // Unparseable colors are ignored rather than counted as black
+      const color = parseColor(styler?.color);
+      if (color) {
+        const hsl = hexToHsl(color.hex);
+        totalLightness += inverts ? 100 - hsl.l : hsl.l;
         colorCount++;
       }
     }
+
+    if (inverts && isGlobalRule(style)) {
+      const baseColor = getDefaultColor("natural.base", "geometry", "fillColor");
+      totalLightness += 100 - hexToHsl(baseColor).l;
+      colorCount++;
+    }
   }
 
   if (colorCount === 0) return "light";
@@ -37,3 +60,17 @@ export const detectVariant = (v1Styles) => {
   const avgLightness = totalLightness / colorCount;
   return avgLightness < LIGHTNESS_THRESHOLD ? "dark" : "light";
 };
+
+/**
+ * Detects variant (light/dark) from V2 styles
+ * Uses the background the map renders with: the dominant landscape fill after
+ * inheritance and defaults (see detectBackgroundColor), so restyling a few
+ * features does not flip the variant of an otherwise light or dark map
+ * @param {Object[]} styles - V2 style entries
+ * @returns {string} 'light' or 'dark'
+ */
+export const detectV2Variant = (styles) => {
+  const background = detectBackgroundColor(materializeStyles(styles));
+  if (!background) return "light";
+  return hexToHsl(background).l < LIGHTNESS_THRESHOLD ? "dark" : "light";
+};
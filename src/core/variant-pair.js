@@ -0,0 +1,34 @@
+/**
+ * Light/dark variant pair generation for V2 CBMS styles
+ * A map ID can carry a light and a dark style. Given one of them, the
+ * counterpart is derived by inverting perceptual (CIELAB) lightness while
+ * keeping hue, so dark roads on light land become light roads on dark land
+ * without the hue shifts of plain HSL inversion.
+ */
+
+import { convertV1ToV2 } from "./converter.js";
+import { getV2Document } from "./input-normalizer.js";
+import { transformStyle } from "./style-transforms.js";
+
+/**
+ * Generates the light and dark variants of a style
+ * The input keeps its variant (see detectVariant for V1 input); the other
+ * variant is generated from it. Inherited and default-palette colors are
+ * inverted too (see transformStyle), so the counterpart is complete on its own.
+ * @param {Array|Object|string} input - V1 input (see convertV1ToV2) or V2 document
+ * @param {Object} [options] - Conversion options for V1 input (see convertV1ToV2)
+ * @returns {{light: Object, dark: Object}} V2 styles for both variants
+ */
+export const generateVariantPair = (input, options = {}) => {
+  const source = structuredClone(
+    getV2Document(input) ?? convertV1ToV2(input, options)
+  );
+  source.variant = source.variant === "dark" ? "dark" : "light";
+
+  const counterpart = transformStyle(source, [{ op: "invertPerceptual" }]);
+  counterpart.variant = source.variant === "dark" ? "light" : "dark";
+
+  return source.variant === "light"
+    ? { light: source, dark: counterpart }
+    : { light: counterpart, dark: source };
+};
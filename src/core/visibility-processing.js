@@ -10,7 +10,7 @@ import {
   isValidLabelProperty,
   ensureRequiredElements,
 } from "./feature-properties.js";
-import { getV2Visibility } from "./mapping.js";
+import { getV2Visibility, getV2SimplifiedVisibility } from "./mapping.js";
 import { isIconShieldFeature } from "./feature-id-utils.js";
 import { ensureSection, getOrCreateStyle } from "./style-utils.js";
 
@@ -69,7 +69,11 @@ export const shouldApplyGeometryVisibility = (elementType, id) => {
     return isValidGeometryProperty(id, "fillColor");
   }
   if (elementType === "geometry.stroke") {
-    return isValidGeometryProperty(id, "strokeColor");
+    // Line features such as political.border have a color instead of a stroke
+    return (
+      isValidGeometryProperty(id, "strokeColor") ||
+      isValidGeometryProperty(id, "color")
+    );
   }
   return true;
 };
@@ -121,6 +125,8 @@ export const hasMoreSpecificVisibility = (
  * @param {Map} v2StylesMap - Map of V2 styles
  * @param {string} featureType - Feature type that's setting visibility
  * @param {Map} visibilitySourceMap - Map tracking which feature type set visibility
+ * @param {boolean} [zoomSimplified=false] - Whether the visibility comes from V1
+ * "simplified" and should be written as zoom-keyed visibility
  */
 export const handleGeneralVisibility = (
   targetIds,
@@ -128,10 +134,13 @@ export const handleGeneralVisibility = (
   elementType,
   v2StylesMap,
   featureType,
-  visibilitySourceMap
+  visibilitySourceMap,
+  zoomSimplified = false
 ) => {
   for (const id of targetIds) {
     const key = `${id}:${elementType || "all"}`;
+    const visibilityFor = (section) =>
+      zoomSimplified ? getV2SimplifiedVisibility(id, section) : visible;
 
     if (
       hasMoreSpecificVisibility(
@@ -167,19 +176,19 @@ export const handleGeneralVisibility = (
         elementType?.startsWith("labels.icon");
 
       if (isGeneralLabelTarget) {
-        ensureSection(style, "label").visible = visible;
+        ensureSection(style, "label").visible = visibilityFor("label");
         visibilitySourceMap.set(key, featureType);
       }
     } else if (hasGeometry && !hasLabel) {
       if (isGeometryTarget && shouldApplyGeometry) {
-        ensureSection(style, "geometry").visible = visible;
+        ensureSection(style, "geometry").visible = visibilityFor("geometry");
         visibilitySourceMap.set(key, featureType);
       }
     } else if (hasGeometry && elementType?.startsWith("geometry")) {
       // For geometry-specific element types (geometry.fill, geometry.stroke, etc.)
       // Apply visibility to geometry section
       if (shouldApplyGeometry) {
-        ensureSection(style, "geometry").visible = visible;
+        ensureSection(style, "geometry").visible = visibilityFor("geometry");
         visibilitySourceMap.set(key, featureType);
       }
     } else {
@@ -187,7 +196,7 @@ export const handleGeneralVisibility = (
 
       // Apply geometry visibility if applicable
       if (isGeometryTarget && hasGeometry && shouldApplyGeometry) {
-        ensureSection(style, "geometry").visible = visible;
+        ensureSection(style, "geometry").visible = visibilityFor("geometry");
         visibilitySourceMap.set(key, featureType);
       }
 
@@ -198,7 +207,7 @@ export const handleGeneralVisibility = (
         elementType === "labels.text" ||
         elementType?.startsWith("labels.text");
       if (isLabelTextTarget && hasLabel) {
-        ensureSection(style, "label").visible = visible;
+        ensureSection(style, "label").visible = visibilityFor("label");
         visibilitySourceMap.set(key, featureType);
       }
     }
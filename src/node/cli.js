@@ -0,0 +1,479 @@
+#!/usr/bin/env node
+/**
+ * gmaps-convert: command-line V1 to V2 style converter
+ * Reads V1 JSON from files, globs or stdin and writes V2 JSON to stdout or an
+ * output directory, optionally validating the output against the CBMS schema
+ *
+ * Exit codes: 0 on success, 1 if any input fails to convert or validate,
+ * 2 on usage errors
+ */
+
+import { parseArgs } from "util";
+import { mkdirSync, readFileSync, writeFileSync } from "fs";
+import { basename, extname, join } from "path";
+import {
+  convertV1ToV2,
+  resolveMappingProfile,
+  getMappingProfileNames,
+  serializeV2,
+  canonicalizeV2,
+  fixContrast,
+  transformStyle,
+  generateVariantPair,
+  COLOR_MODELS,
+} from "./converter-node.js";
+import { validateV2, formatValidationErrors } from "./validator-node.js";
+import { expandInputPatterns, readStdin } from "./file-utils.js";
+import { renderSwatchSheet } from "./swatch-sheet.js";
+
+const STDIN_NAME = "stdin";
+
+/**
+ * Transform operations by CLI flag
+ * @type {Readonly<Object.<string, string>>}
+ */
+const TRANSFORM_FLAGS = Object.freeze({
+  "hue-rotate": "hueRotate",
+  desaturate: "desaturate",
+  darken: "darken",
+  gamma: "gamma",
+  invert: "invert",
+  "invert-perceptual": "invertPerceptual",
+  grayscale: "grayscale",
+});
+
+const USAGE = `Usage: gmaps-convert [options] [file|glob ...]
+
+Converts Google Maps V1 style JSON to V2 CBMS JSON.
+Inputs may also be { "styles": [...] } wrappers or JavaScript snippets
+such as new google.maps.StyledMapType([...]).
+Reads standard input when no files are given (or for "-").
+
+Options:
+  -o, --out-dir <dir>    Write each result to <dir>/<name>.json instead of stdout
+      --validate         Validate output against the CBMS schema
+      --zoom-simplified  Convert "simplified" visibility to zoom-keyed visibility
+      --minimize         Omit styles that repeat what features inherit from
+                         their parent IDs
+      --materialize      Write every V2 ID with every supported property
+      --profile <name|file>
+                         Mapping profile: "faithful" (default), "conservative"
+                         or a JSON file of overrides
+      --color-model <model>
+                         Color model for V1 lightness/saturation/hue:
+                         "hsl" (default), "oklch" or "lab"
+      --swatches         Also write a V1/V2 swatch sheet to <dir>/<name>.svg
+                         (requires --out-dir)
+      --fix-contrast     Adjust label color lightness to reach the contrast
+                         target against roads, water, land and parks; the
+                         changes are listed on stderr
+      --contrast-target <ratio>
+                         Contrast ratio for --fix-contrast (default 4.5)
+      --variant-pair     Also generate the counterpart light/dark variant;
+                         writes <dir>/<name>.light.json and <name>.dark.json,
+                         or {"light": ..., "dark": ...} to stdout
+  -h, --help             Show this help
+
+Transforms (run in the order given, after the steps of --transforms):
+      --hue-rotate <deg>     Rotate hues
+      --desaturate <amount>  Lower saturation (0-100)
+      --darken <amount>      Lower lightness (-100 to 100; negative lightens)
+      --gamma <value>        Apply gamma (above 1 brightens)
+      --invert               Invert lightness (also flips the variant)
+      --invert-perceptual    Invert perceptual (CIELAB) lightness, keeping hue
+      --grayscale            Remove all saturation
+      --transform-target <id>
+                             Limit the transform flags to <id> and its
+                             children ("<id>.*" for children only); repeatable
+      --transforms <file>    JSON file with an array of transform steps
+
+Quote globs (e.g. "styles/**/*.json") to let gmaps-convert expand them.
+Writing to stdout accepts a single input; use --out-dir for several.`;
+
+/**
+ * Parses command-line arguments
+ * @param {string[]} args - Arguments (without node and script path)
+ * @returns {Object} Parsed options {inputs, outDir, validate, zoomSimplified,
+ * minimize, materialize, profile, colorModel, swatches, fixContrast,
+ * contrastTarget, transforms, transformTargets, transformFile, variantPair, help}
+ */
+const parseCliArgs = (args) => {
+  const { values, positionals, tokens } = parseArgs({
+    args,
+    allowPositionals: true,
+    tokens: true,
+    options: {
+      "out-dir": { type: "string", short: "o" },
+      validate: { type: "boolean", default: false },
+      "zoom-simplified": { type: "boolean", default: false },
+      minimize: { type: "boolean", default: false },
+      materialize: { type: "boolean", default: false },
+      profile: { type: "string" },
+      "color-model": { type: "string" },
+      swatches: { type: "boolean", default: false },
+      "fix-contrast": { type: "boolean", default: false },
+      "contrast-target": { type: "string" },
+      "hue-rotate": { type: "string", multiple: true },
+      desaturate: { type: "string", multiple: true },
+      darken: { type: "string", multiple: true },
+      gamma: { type: "string", multiple: true },
+      invert: { type: "boolean", multiple: true },
+      "invert-perceptual": { type: "boolean", multiple: true },
+      grayscale: { type: "boolean", multiple: true },
+      "transform-target": { type: "string", multiple: true },
+      transforms: { type: "string" },
+      "variant-pair": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const transforms = tokens
+    .filter(
+      (token) =>
+        token.kind === "option" && Object.hasOwn(TRANSFORM_FLAGS, token.name)
+    )
+    .map((token) => {
+      const step = { op: TRANSFORM_FLAGS[token.name] };
+      if (token.value !== undefined) step.value = Number(token.value);
+      return step;
+    });
+
+  return {
+    inputs: positionals,
+    outDir: values["out-dir"] ?? null,
+    validate: values.validate,
+    zoomSimplified: values["zoom-simplified"],
+    minimize: values.minimize,
+    materialize: values.materialize,
+    profile: values.profile ?? null,
+    colorModel: values["color-model"] ?? null,
+    swatches: values.swatches,
+    fixContrast: values["fix-contrast"],
+    contrastTarget:
+      values["contrast-target"] === undefined
+        ? null
+        : Number(values["contrast-target"]),
+    transforms,
+    transformTargets: values["transform-target"] ?? null,
+    transformFile: values.transforms ?? null,
+    variantPair: values["variant-pair"],
+    help: values.help,
+  };
+};
+
+/**
+ * Resolves input arguments to a list of sources
+ * @param {string[]} inputs - File, glob or "-" arguments
+ * @returns {string[]} File paths, with STDIN_NAME standing in for standard input
+ */
+const resolveSources = (inputs) => {
+  if (inputs.length === 0) return [STDIN_NAME];
+
+  const files = expandInputPatterns(inputs.filter((input) => input !== "-"));
+  return inputs.includes("-") ? [STDIN_NAME, ...files] : files;
+};
+
+/**
+ * Reads the V1 JSON text of a source
+ * @param {string} source - File path or STDIN_NAME
+ * @returns {Promise<string>} V1 JSON text
+ */
+const readSource = async (source) =>
+  source === STDIN_NAME ? readStdin() : readFileSync(source, "utf8");
+
+/**
+ * Gets the output file name for a source
+ * @param {string} source - File path or STDIN_NAME
+ * @param {string} [extension=".json"] - Output file extension
+ * @returns {string} Output file name (<name><extension>)
+ */
+const getOutputName = (source, extension = ".json") =>
+  `${basename(source, extname(source))}${extension}`;
+
+/**
+ * Loads the mapping profile named by --profile
+ * Built-in profile names are used as is; anything else is read as a JSON file
+ * of profile overrides (see resolveMappingProfile)
+ * @param {string|null} profile - --profile value
+ * @returns {Object} Resolved mapping profile
+ */
+const loadMappingProfile = (profile) => {
+  if (profile === null || getMappingProfileNames().includes(profile)) {
+    return resolveMappingProfile(profile);
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(readFileSync(profile, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read mapping profile ${profile}: ${error.message}`);
+  }
+  return resolveMappingProfile(definition);
+};
+
+/**
+ * Builds the transform pipeline from --transforms and the transform flags
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object[]} Transform steps
+ */
+const loadTransforms = (options) => {
+  let fileSteps = [];
+  if (options.transformFile !== null) {
+    try {
+      fileSteps = JSON.parse(readFileSync(options.transformFile, "utf8"));
+    } catch (error) {
+      throw new Error(
+        `Cannot read transforms ${options.transformFile}: ${error.message}`
+      );
+    }
+    if (!Array.isArray(fileSteps)) {
+      throw new Error(`${options.transformFile} must hold an array of steps`);
+    }
+  }
+
+  const flagSteps = options.transforms.map((step) =>
+    options.transformTargets ? { ...step, target: options.transformTargets } : step
+  );
+  const steps = [...fileSteps, ...flagSteps];
+
+  // Fail on invalid steps before any input is converted
+  transformStyle({ variant: "light", styles: [] }, steps);
+  return steps;
+};
+
+/**
+ * Formats a contrast fix changelog entry as one line
+ * @param {string} source - File path or STDIN_NAME
+ * @param {Object} change - Changelog entry (see fixContrast)
+ * @returns {string} Formatted entry
+ */
+const formatContrastChange = (
+  source,
+  { id, property, from, to, surface, ratioBefore, ratioAfter, reached, zoom }
+) =>
+  `${source}: ${id} ${property}${zoom ? ` at ${zoom}` : ""} ${from} → ${to} on ${surface} (${ratioBefore}:1 → ${ratioAfter}:1${
+    reached ? "" : ", target not reachable"
+  })`;
+
+/**
+ * Serializes the outputs of --variant-pair as one JSON object keyed by variant
+ * Each variant is serialized canonically (see serializeV2)
+ * @param {Object[]} outputs - Outputs {suffix, style}
+ * @returns {string} JSON text {light, dark}
+ */
+const serializeVariantPair = (outputs) => {
+  const entries = outputs.map(
+    ({ suffix, style }) =>
+      `  ${JSON.stringify(suffix.slice(1))}: ${serializeV2(style)
+        .trimEnd()
+        .replace(/\n/g, "\n  ")}`
+  );
+  return `{\n${entries.join(",\n")}\n}\n`;
+};
+
+/**
+ * Converts, validates and writes a single source
+ * @param {string} source - File path or STDIN_NAME
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<boolean>} True if the output is valid (or not validated)
+ * @throws {Error} When the source cannot be read, converted or written
+ */
+const processSource = async (source, options) => {
+  const v1Text = await readSource(source);
+  let v2Result = convertV1ToV2(v1Text, {
+    zoomSimplified: options.zoomSimplified,
+    minimize: options.minimize,
+    materialize: options.materialize,
+    mappingProfile: options.mappingProfile,
+    colorModel: options.colorModel ?? undefined,
+  });
+
+  if (options.transformSteps.length > 0) {
+    v2Result = transformStyle(v2Result, options.transformSteps);
+  }
+
+  const outputs = options.variantPair
+    ? Object.entries(generateVariantPair(v2Result)).map(([variant, style]) => ({
+        label: `${source} (${variant})`,
+        suffix: `.${variant}`,
+        style,
+      }))
+    : [{ label: source, suffix: "", style: v2Result }];
+
+  let valid = true;
+  for (const output of outputs) {
+    if (options.fixContrast) {
+      const { result, changes } = fixContrast(output.style, {
+        target: options.contrastTarget ?? undefined,
+      });
+      output.style = result;
+      for (const change of changes) {
+        console.error(formatContrastChange(output.label, change));
+      }
+    }
+
+    // Validation paths refer to the written (canonical) order
+    output.style = canonicalizeV2(output.style);
+
+    if (options.validate) {
+      const validation = await validateV2(output.style);
+      if (!validation.valid) {
+        valid = false;
+        console.error(
+          `${output.label}: invalid V2 output\n${formatValidationErrors(
+            validation.errors
+          )}`
+        );
+      }
+    }
+  }
+
+  if (options.outDir) {
+    for (const { suffix, style } of outputs) {
+      writeFileSync(
+        join(options.outDir, getOutputName(source, `${suffix}.json`)),
+        serializeV2(style)
+      );
+    }
+    if (options.swatches) {
+      writeFileSync(
+        join(options.outDir, getOutputName(source, ".svg")),
+        renderSwatchSheet(v1Text, {
+          v2: v2Result,
+          title: source,
+          mappingProfile: options.mappingProfile,
+          colorModel: options.colorModel ?? undefined,
+        })
+      );
+    }
+  } else if (options.variantPair) {
+    process.stdout.write(serializeVariantPair(outputs));
+  } else {
+    process.stdout.write(serializeV2(outputs[0].style));
+  }
+
+  return valid;
+};
+
+/**
+ * Converts a single source, reporting any failure
+ * A failing source does not stop the remaining ones
+ * @param {string} source - File path or STDIN_NAME
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<boolean>} True if the source converted (and validated) successfully
+ */
+const convertSource = async (source, options) => {
+  try {
+    return await processSource(source, options);
+  } catch (error) {
+    console.error(`${source}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Runs the CLI
+ * @param {string[]} args - Arguments (without node and script path)
+ * @returns {Promise<number>} Exit code
+ */
+export const main = async (args) => {
+  let options;
+  try {
+    options = parseCliArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  try {
+    options.mappingProfile = loadMappingProfile(options.profile);
+  } catch (error) {
+    console.error(`--profile: ${error.message}`);
+    return 2;
+  }
+
+  if (options.colorModel !== null && !COLOR_MODELS.includes(options.colorModel)) {
+    console.error(`--color-model must be one of: ${COLOR_MODELS.join(", ")}`);
+    return 2;
+  }
+
+  if (options.minimize && options.materialize) {
+    console.error("--minimize and --materialize cannot be combined");
+    return 2;
+  }
+
+  if (options.transformTargets && options.transforms.length === 0) {
+    console.error("--transform-target requires a transform flag");
+    return 2;
+  }
+
+  try {
+    options.transformSteps = loadTransforms(options);
+  } catch (error) {
+    console.error(`Transforms: ${error.message}`);
+    return 2;
+  }
+
+  if (
+    options.contrastTarget !== null &&
+    !(options.contrastTarget >= 1 && options.contrastTarget <= 21)
+  ) {
+    console.error("--contrast-target must be a number from 1 to 21");
+    return 2;
+  }
+
+  if (options.contrastTarget !== null && !options.fixContrast) {
+    console.error("--contrast-target requires --fix-contrast");
+    return 2;
+  }
+
+  if (options.swatches && !options.outDir) {
+    console.error("--swatches requires --out-dir");
+    return 2;
+  }
+
+  const sources = resolveSources(options.inputs);
+  if (sources.length === 0) {
+    console.error("No input files matched");
+    return 2;
+  }
+
+  if (!options.outDir && sources.length > 1) {
+    console.error(
+      `${sources.length} inputs given; use --out-dir to convert more than one`
+    );
+    return 2;
+  }
+
+  if (options.outDir) {
+    const names = sources.map((source) => getOutputName(source));
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) {
+      console.error(`Several inputs would be written to ${duplicate}`);
+      return 2;
+    }
+    mkdirSync(options.outDir, { recursive: true });
+  }
+
+  let failures = 0;
+  for (const source of sources) {
+    if (!(await convertSource(source, options))) failures++;
+  }
+
+  return failures > 0 ? 1 : 0;
+};
+
+main(process.argv.slice(2)).then(
+  (exitCode) => {
+    process.exitCode = exitCode;
+  },
+  (error) => {
+    console.error(`Fatal error: ${error.message}`);
+    process.exitCode = 1;
+  }
+);
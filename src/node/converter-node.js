@@ -4,6 +4,50 @@
  * Uses ES6 imports to load the core converter
  */
 
-import { convertV1ToV2 } from "../core/converter.js";
+import { convertV1ToV2, convertV1ToV2WithReport } from "../core/converter.js";
+import { convertV2ToV1 } from "../core/reverse-converter.js";
+import { normalizeV1Input } from "../core/input-normalizer.js";
+import {
+  resolveMappingProfile,
+  getMappingProfileNames,
+} from "../core/mapping-profiles.js";
+import { serializeV2, canonicalizeV2 } from "../core/v2-serializer.js";
+import {
+  composeStyles,
+  composeStylesWithReport,
+} from "../core/style-composer.js";
+import {
+  lintV2,
+  resolveLintConfig,
+  getLintRules,
+} from "../core/v2-linter.js";
+import { auditAccessibility } from "../core/accessibility-audit.js";
+import { fixContrast } from "../core/contrast-fixer.js";
+import {
+  transformStyle,
+  getTransformOperations,
+} from "../core/style-transforms.js";
+import { generateVariantPair } from "../core/variant-pair.js";
+import { COLOR_MODELS } from "../utils/color-utils.js";
 
-export { convertV1ToV2 };
+export {
+  convertV1ToV2,
+  convertV1ToV2WithReport,
+  convertV2ToV1,
+  normalizeV1Input,
+  resolveMappingProfile,
+  getMappingProfileNames,
+  serializeV2,
+  canonicalizeV2,
+  composeStyles,
+  composeStylesWithReport,
+  lintV2,
+  resolveLintConfig,
+  getLintRules,
+  auditAccessibility,
+  fixContrast,
+  transformStyle,
+  getTransformOperations,
+  generateVariantPair,
+  COLOR_MODELS,
+};
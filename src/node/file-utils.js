@@ -0,0 +1,166 @@
+/**
+ * File helpers for the Node.js CLI tools
+ * Expands file and glob arguments and reads standard input
+ */
+
+import { readdirSync, statSync } from "fs";
+import { join, resolve, sep } from "path";
+
+const GLOB_CHARS = /[*?[]/;
+
+/**
+ * Directories globs never descend into
+ */
+const SKIPPED_DIRECTORIES = Object.freeze(["node_modules", ".git"]);
+
+/**
+ * Checks if a path pattern contains glob characters
+ * @param {string} pattern - Path or glob pattern
+ * @returns {boolean} True if the pattern is a glob
+ */
+export const isGlobPattern = (pattern) => GLOB_CHARS.test(pattern);
+
+/**
+ * Converts a glob pattern to a regular expression
+ * Supports "**" (any number of directories), "*" and "?" (within a path
+ * segment) and character classes such as "[abc]"
+ * @param {string} pattern - Glob pattern using "/" as separator
+ * @returns {RegExp} Regular expression matching "/"-separated paths
+ */
+export const globToRegExp = (pattern) => {
+  let source = "";
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*" && pattern[i + 1] === "*") {
+      const followedBySlash = pattern[i + 2] === "/";
+      source += followedBySlash ? "(?:.*/)?" : ".*";
+      i += followedBySlash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = pattern.indexOf("]", i + 1);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, "^")}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Lists the entries below a directory, as paths relative to it
+ * Skips SKIPPED_DIRECTORIES; unreadable directories are left out
+ * @param {string} dir - Directory to walk
+ * @param {number} depth - Number of path segments to descend (Infinity for all)
+ * @returns {string[]} "/"-separated relative paths
+ */
+const listEntries = (dir, depth) => {
+  let entries;
+  try {
+    entries = readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  return entries.flatMap((entry) => {
+    if (!entry.isDirectory()) return [entry.name];
+    if (depth <= 1 || SKIPPED_DIRECTORIES.includes(entry.name)) {
+      return [entry.name];
+    }
+    return [
+      entry.name,
+      ...listEntries(join(dir, entry.name), depth - 1).map(
+        (child) => `${entry.name}/${child}`
+      ),
+    ];
+  });
+};
+
+/**
+ * Checks whether a path is a file (following symlinks)
+ * @param {string} path - File path
+ * @returns {boolean} True for files; false for directories, broken symlinks
+ * and paths that cannot be read
+ */
+const isFile = (path) => {
+  try {
+    return statSync(path).isFile();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Expands a glob pattern to the matching files, sorted by path
+ * The directory part before the first glob character is walked as deep as the
+ * pattern reaches: recursively only for "**". node_modules and .git are not
+ * walked.
+ * @param {string} pattern - Glob pattern (e.g. "styles/**\/*.json")
+ * @returns {string[]} Matching file paths
+ */
+export const expandGlob = (pattern) => {
+  const normalized = pattern.split(sep).join("/");
+  const segments = normalized.split("/");
+  const firstGlob = segments.findIndex((segment) => isGlobPattern(segment));
+  const baseSegments = segments.slice(0, firstGlob);
+  // A leading "/" leaves an empty first segment: the pattern is rooted
+  const baseDir =
+    baseSegments.length === 0 ? "." : baseSegments.join("/") || "/";
+  const globSegments = segments.slice(firstGlob);
+  const matcher = globToRegExp(globSegments.join("/"));
+  const depth = globSegments.some((segment) => segment.includes("**"))
+    ? Infinity
+    : globSegments.length;
+
+  return listEntries(baseDir, depth)
+    .filter((entry) => matcher.test(entry))
+    .map((entry) => join(baseDir, entry))
+    .filter(isFile)
+    .sort();
+};
+
+/**
+ * Expands file and glob arguments into a de-duplicated list of file paths
+ * Plain paths are kept as given so that missing files surface as read errors
+ * @param {string[]} patterns - File paths and glob patterns
+ * @returns {string[]} File paths
+ */
+export const expandInputPatterns = (patterns) => {
+  const files = [];
+  const seen = new Set();
+
+  for (const pattern of patterns) {
+    const paths = isGlobPattern(pattern) ? expandGlob(pattern) : [pattern];
+    for (const path of paths) {
+      const key = resolve(path);
+      if (!seen.has(key)) {
+        seen.add(key);
+        files.push(path);
+      }
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Reads all of standard input as UTF-8 text
+ * @returns {Promise<string>} Standard input contents
+ */
+export const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+};
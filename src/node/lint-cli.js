@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * gmaps-lint: command-line linter for V2 CBMS styles
+ * Reads V2 JSON from files, globs or stdin and reports lint problems. Rules are
+ * configured by a JSON config file (.gmaps-lintrc.json in the working
+ * directory by default)
+ *
+ * Exit codes: 0 if no errors were found, 1 if any input has lint errors or
+ * cannot be read, 2 on usage errors
+ */
+
+import { parseArgs } from "util";
+import { existsSync, readFileSync } from "fs";
+import { lintV2, resolveLintConfig, getLintRules } from "./converter-node.js";
+import { expandInputPatterns, readStdin } from "./file-utils.js";
+
+const STDIN_NAME = "stdin";
+const DEFAULT_CONFIG_FILE = ".gmaps-lintrc.json";
+
+const USAGE = `Usage: gmaps-lint [options] [file|glob ...]
+
+Lints Google Maps V2 CBMS style JSON.
+Reads standard input when no files are given (or for "-").
+
+Options:
+  -c, --config <file>    Lint config file (default: ${DEFAULT_CONFIG_FILE} if present)
+      --rules            List the lint rules and their default severities
+  -h, --help             Show this help
+
+A config file sets the severity ("off", "warn" or "error") of each rule:
+  { "rules": { "hiddenSectionColor": "off", "hiddenStrokeWidth": "error" } }`;
+
+/**
+ * Parses command-line arguments
+ * @param {string[]} args - Arguments (without node and script path)
+ * @returns {Object} Parsed options {inputs, config, rules, help}
+ */
+const parseCliArgs = (args) => {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      config: { type: "string", short: "c" },
+      rules: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  return {
+    inputs: positionals,
+    config: values.config ?? null,
+    rules: values.rules,
+    help: values.help,
+  };
+};
+
+/**
+ * Loads the lint config file
+ * Without --config, the default file is used when it exists
+ * @param {string|null} path - --config value
+ * @returns {Object} Lint config
+ */
+const loadLintConfig = (path) => {
+  const configPath =
+    path ?? (existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+  if (configPath === null) return {};
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read lint config ${configPath}: ${error.message}`);
+  }
+  resolveLintConfig(config);
+  return config;
+};
+
+/**
+ * Resolves input arguments to a list of sources
+ * @param {string[]} inputs - File, glob or "-" arguments
+ * @returns {string[]} File paths, with STDIN_NAME standing in for standard input
+ */
+const resolveSources = (inputs) => {
+  if (inputs.length === 0) return [STDIN_NAME];
+
+  const files = expandInputPatterns(inputs.filter((input) => input !== "-"));
+  return inputs.includes("-") ? [STDIN_NAME, ...files] : files;
+};
+
+/**
+ * Formats a lint problem as one line
+ * @param {string} source - File path or STDIN_NAME
+ * @param {Object} problem - Lint problem (see lintV2)
+ * @returns {string} Formatted problem
+ */
+const formatProblem = (source, { rule, severity, message, id, index }) => {
+  const location =
+    index === undefined ? "" : ` style #${index}${id ? ` (${id})` : ""}`;
+  return `${source}:${location} ${severity} ${message} [${rule}]`;
+};
+
+/**
+ * Lints a single source
+ * @param {string} source - File path or STDIN_NAME
+ * @param {Object} config - Lint config
+ * @returns {Promise<boolean>} True if the source has no lint errors
+ */
+const lintSource = async (source, config) => {
+  let v2Json;
+  try {
+    const text =
+      source === STDIN_NAME ? await readStdin() : readFileSync(source, "utf8");
+    v2Json = JSON.parse(text);
+  } catch (error) {
+    console.error(`${source}: ${error.message}`);
+    return false;
+  }
+
+  const { problems, errorCount } = lintV2(v2Json, config);
+  for (const problem of problems) {
+    console.log(formatProblem(source, problem));
+  }
+  return errorCount === 0;
+};
+
+/**
+ * Runs the CLI
+ * @param {string[]} args - Arguments (without node and script path)
+ * @returns {Promise<number>} Exit code
+ */
+export const main = async (args) => {
+  let options;
+  try {
+    options = parseCliArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (options.rules) {
+    for (const { name, description, severity } of getLintRules()) {
+      console.log(`${name} (${severity}): ${description}`);
+    }
+    return 0;
+  }
+
+  let config;
+  try {
+    config = loadLintConfig(options.config);
+  } catch (error) {
+    console.error(`--config: ${error.message}`);
+    return 2;
+  }
+
+  const sources = resolveSources(options.inputs);
+  if (sources.length === 0) {
+    console.error("No input files matched");
+    return 2;
+  }
+
+  let failures = 0;
+  for (const source of sources) {
+    if (!(await lintSource(source, config))) failures++;
+  }
+
+  return failures > 0 ? 1 : 0;
+};
+
+main(process.argv.slice(2)).then(
+  (exitCode) => {
+    process.exitCode = exitCode;
+  },
+  (error) => {
+    console.error(`Fatal error: ${error.message}`);
+    process.exitCode = 1;
+  }
+);
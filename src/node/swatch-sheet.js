@@ -0,0 +1,406 @@
+/**
+ * Swatch sheet renderer for visual review of conversions
+ * Renders a deterministic SVG legend with one row per V2 feature ID, showing
+ * the fill, stroke, label and pin colors of a V1 style next to its V2 conversion
+ */
+
+import { convertV1ToV2 } from "./converter-node.js";
+import {
+  getAllV2Ids,
+  getV2PropertyPath,
+  getV2Visibility,
+} from "../core/mapping.js";
+import {
+  expandTargetIds,
+  getParentFeatureIds,
+} from "../core/feature-id-utils.js";
+import {
+  supportsGeometry,
+  supportsLabel,
+  isValidGeometryProperty,
+  isValidLabelProperty,
+} from "../core/feature-properties.js";
+import {
+  getExternalAdjustments,
+  handleHslAdjustments,
+  hasHslStylers,
+} from "../core/hsl-adjustments.js";
+import { processColor, resolveBaseColor } from "../core/color-processing.js";
+import { getDefaultColor } from "../core/default-palette.js";
+import { normalizeV1Input } from "../core/input-normalizer.js";
+import { resolveMappingProfile } from "../core/mapping-profiles.js";
+import { addBorderTarget } from "../core/border-processing.js";
+import { normalizeHex, parseColor } from "../utils/color-utils.js";
+
+const COLOR_PROPERTIES = Object.freeze({
+  geometry: ["fillColor", "strokeColor", "color"],
+  label: ["textFillColor", "textStrokeColor", "pinFillColor"],
+});
+
+const LAYOUT = Object.freeze({
+  width: 760,
+  headerHeight: 64,
+  rowHeight: 40,
+  idX: 16,
+  v1X: 360,
+  v2X: 550,
+  markerX: 740,
+});
+
+// Maximum per-channel RGB difference for colors to count as the same
+const CHANNEL_TOLERANCE = 6;
+
+/**
+ * Checks if a section property applies to a feature
+ * @param {string} id - V2 feature ID
+ * @param {string} section - Section name ('geometry' or 'label')
+ * @param {string} property - Property name
+ * @returns {boolean} True if the feature supports the property
+ */
+const isValidSectionProperty = (id, section, property) =>
+  section === "geometry"
+    ? supportsGeometry(id) && isValidGeometryProperty(id, property)
+    : supportsLabel(id) && isValidLabelProperty(id, property);
+
+/**
+ * Gets the color property paths a V1 rule writes for a feature
+ * @param {string|undefined} elementType - V1 elementType
+ * @param {string} id - V2 feature ID
+ * @param {Object|null} profile - Resolved mapping profile
+ * @returns {string[]} Property paths ("section.property")
+ */
+const getColorPaths = (elementType, id, profile) => {
+  const paths =
+    !elementType || elementType === "all"
+      ? Object.entries(COLOR_PROPERTIES).flatMap(([section, properties]) =>
+          properties.map((property) => `${section}.${property}`)
+        )
+      : [getV2PropertyPath(elementType, id, profile) ?? []].flat();
+
+  return paths.filter((path) => {
+    const [section, property] = path.split(".");
+    return isValidSectionProperty(id, section, property);
+  });
+};
+
+/**
+ * Gets the sections a V1 visibility styler applies to
+ * labels.icon visibility has no section-level equivalent and is ignored
+ * @param {string|undefined} elementType - V1 elementType
+ * @returns {string[]} Section names
+ */
+const getVisibilitySections = (elementType) => {
+  if (!elementType || elementType === "all") return ["geometry", "label"];
+  if (elementType === "labels.icon") return [];
+  return elementType.startsWith("geometry") ? ["geometry"] : ["label"];
+};
+
+/**
+ * Resolves the swatches a V1 style describes, rule by rule in order
+ * Reads the V1 rules directly, outside the converter's feature and visibility
+ * handling. Colors go through the converter's color path: general rules apply
+ * the HSL adjustments inherited from earlier rules, gamma is applied, HSL-only
+ * rules adjust the current (or default) color, and later rules overwrite
+ * earlier ones.
+ * @param {Array} v1Styles - V1 style array
+ * @param {Object|null} [profile] - Resolved mapping profile (defaults to the built-in tables)
+ * @param {string} [colorModel="hsl"] - Color model of the HSL adjustments (see COLOR_MODELS)
+ * @returns {Map<string, Object>} Map of V2 ID to {geometry, label} swatch values
+ */
+export const resolveV1Swatches = (
+  v1Styles,
+  profile = null,
+  colorModel = "hsl"
+) => {
+  const swatches = new Map();
+  const hslAdjustmentsMap = new Map();
+
+  for (const rule of v1Styles) {
+    if (!Array.isArray(rule?.stylers)) continue;
+
+    const { featureType, elementType } = rule;
+    const stylers = rule.stylers.reduce((acc, s) => ({ ...acc, ...s }), {});
+    const color = parseColor(stylers.color)?.hex ?? null;
+    // Invalid colors are dropped, as the converter does
+    const mergedStyler = { ...stylers, color: color ?? undefined };
+    const isGeneralRule = !elementType || elementType === "all";
+    const hasHslAdjustments = hasHslStylers(mergedStyler);
+    const visible =
+      mergedStyler.visibility !== undefined
+        ? getV2Visibility(mergedStyler.visibility)
+        : null;
+
+    const targetIds = addBorderTarget(
+      expandTargetIds(featureType, profile),
+      featureType,
+      elementType
+    );
+    for (const id of targetIds) {
+      const swatch = swatches.get(id) ?? { geometry: {}, label: {} };
+
+      const externalAdjustments = getExternalAdjustments(
+        isGeneralRule,
+        color !== null,
+        hasHslAdjustments,
+        color,
+        id,
+        hslAdjustmentsMap
+      );
+      for (const path of getColorPaths(elementType, id, profile)) {
+        const [section, property] = path.split(".");
+        const baseColor = resolveBaseColor(
+          mergedStyler,
+          id,
+          section,
+          property,
+          swatch[section][property],
+          externalAdjustments,
+          colorModel
+        );
+        const adjusted = processColor(
+          mergedStyler,
+          externalAdjustments,
+          baseColor,
+          colorModel
+        );
+        if (adjusted !== null) swatch[section][property] = adjusted;
+      }
+
+      if (visible !== null) {
+        for (const section of getVisibilitySections(elementType)) {
+          swatch[section].visible = visible;
+        }
+      }
+
+      swatches.set(id, swatch);
+    }
+
+    if (isGeneralRule && color === null && hasHslAdjustments) {
+      handleHslAdjustments(mergedStyler, targetIds, hslAdjustmentsMap);
+    }
+  }
+
+  return swatches;
+};
+
+/**
+ * Resolves a possibly zoom-keyed V2 value to the value at the highest zoom
+ * @param {*} value - V2 property value
+ * @returns {*} Scalar value
+ */
+const resolveZoomValue = (value) => {
+  if (value === null || typeof value !== "object") return value;
+  const zoomKeys = Object.keys(value).sort();
+  return value[zoomKeys[zoomKeys.length - 1]];
+};
+
+/**
+ * Resolves the swatches of a V2 style
+ * Features without a value of their own inherit it from their parent IDs, so
+ * minimized styles resolve like their full form
+ * @param {Object} v2Style - V2 style object
+ * @returns {Map<string, Object>} Map of V2 ID to {geometry, label} swatch values
+ */
+export const resolveV2Swatches = (v2Style) => {
+  const swatches = new Map();
+
+  for (const style of v2Style?.styles ?? []) {
+    const swatch = { geometry: {}, label: {} };
+    for (const section of ["geometry", "label"]) {
+      for (const [property, value] of Object.entries(style[section] ?? {})) {
+        const resolved = resolveZoomValue(value);
+        swatch[section][property] =
+          typeof resolved === "string" ? normalizeHex(resolved) : resolved;
+      }
+    }
+    swatches.set(style.id, swatch);
+  }
+
+  // getAllV2Ids is sorted, so parents are resolved before their children
+  for (const id of getAllV2Ids()) {
+    const inherited = swatches.get(getParentFeatureIds(id)[0]);
+    if (!inherited) continue;
+
+    const swatch = swatches.get(id) ?? { geometry: {}, label: {} };
+    for (const section of ["geometry", "label"]) {
+      for (const [property, value] of Object.entries(inherited[section])) {
+        swatch[section][property] ??= value;
+      }
+    }
+    swatches.set(id, swatch);
+  }
+
+  return swatches;
+};
+
+/**
+ * Fills unset colors of a swatch from the default palette
+ * @param {string} id - V2 feature ID
+ * @param {Object|undefined} swatch - Swatch values
+ * @returns {Object} Swatch with every supported color property set
+ */
+const completeSwatch = (id, swatch) => {
+  const complete = { geometry: {}, label: {} };
+
+  for (const [section, properties] of Object.entries(COLOR_PROPERTIES)) {
+    complete[section].visible = swatch?.[section]?.visible !== false;
+    for (const property of properties) {
+      if (!isValidSectionProperty(id, section, property)) continue;
+      const color =
+        swatch?.[section]?.[property] ?? getDefaultColor(id, section, property);
+      if (color) complete[section][property] = color;
+    }
+  }
+
+  return complete;
+};
+
+/**
+ * Escapes text for use in SVG markup
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Renders one swatch (area, label sample and pin) as SVG elements
+ * Hidden sections are drawn faded
+ * @param {Object} swatch - Completed swatch values
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge of the row
+ * @returns {string} SVG markup
+ */
+const renderSwatch = (swatch, x, y) => {
+  const { geometry, label } = swatch;
+  const parts = [];
+
+  const geometryFill = geometry.fillColor ?? "none";
+  const geometryStroke = geometry.strokeColor ?? geometry.color;
+  if (geometry.fillColor || geometryStroke) {
+    parts.push(
+      `<rect x="${x}" y="${y + 8}" width="56" height="24" rx="3" fill="${geometryFill}"` +
+        (geometryStroke ? ` stroke="${geometryStroke}" stroke-width="3"` : "") +
+        (geometry.visible ? "" : ` opacity="0.2"`) +
+        "/>"
+    );
+  }
+
+  const labelOpacity = label.visible ? "" : ` opacity="0.2"`;
+  if (label.textFillColor) {
+    parts.push(
+      `<text x="${x + 68}" y="${y + 26}" font-family="sans-serif" font-size="14" font-weight="bold" fill="${label.textFillColor}"` +
+        (label.textStrokeColor
+          ? ` stroke="${label.textStrokeColor}" stroke-width="3" paint-order="stroke"`
+          : "") +
+        `${labelOpacity}>Label</text>`
+    );
+  }
+  if (label.pinFillColor) {
+    parts.push(
+      `<circle cx="${x + 136}" cy="${y + 20}" r="7" fill="${label.pinFillColor}"${labelOpacity}/>`
+    );
+  }
+
+  return parts.join("");
+};
+
+/**
+ * Checks if two hex colors are within CHANNEL_TOLERANCE on every RGB channel
+ * @param {string} a - First hex color (#RRGGBB)
+ * @param {string} b - Second hex color (#RRGGBB)
+ * @returns {boolean} True if the colors are close
+ */
+const colorsClose = (a, b) =>
+  [1, 3, 5].every(
+    (i) =>
+      Math.abs(
+        parseInt(a.slice(i, i + 2), 16) - parseInt(b.slice(i, i + 2), 16)
+      ) <= CHANNEL_TOLERANCE
+  );
+
+/**
+ * Checks if two completed swatches differ in visibility or any color
+ * @param {Object} a - First swatch
+ * @param {Object} b - Second swatch
+ * @returns {boolean} True if the swatches differ
+ */
+const swatchesDiffer = (a, b) =>
+  ["geometry", "label"].some((section) =>
+    Object.entries(a[section]).some(([property, value]) => {
+      const other = b[section][property];
+      return property === "visible"
+        ? value !== other
+        : !other || !colorsClose(value, other);
+    })
+  );
+
+/**
+ * Renders an SVG swatch sheet comparing a V1 style with its V2 conversion
+ * Rows list the feature IDs either side styles, in getAllV2Ids order; rows
+ * whose swatches differ are marked. Output depends only on the inputs.
+ * @param {Array|Object|string} v1Input - V1 input (see normalizeV1Input)
+ * @param {Object} [options] - Render options
+ * @param {Object} [options.v2] - V2 style to compare (defaults to convertV1ToV2 of the input)
+ * @param {string} [options.title] - Sheet title
+ * @param {boolean} [options.allIds=false] - Render every V2 ID, not only styled ones
+ * @param {string|Object} [options.mappingProfile] - Mapping profile for both
+ * sides (see resolveMappingProfile)
+ * @param {string} [options.colorModel="hsl"] - Color model of the V1 HSL
+ * adjustments for both sides (see convertV1ToV2)
+ * @returns {string} SVG document
+ */
+export const renderSwatchSheet = (v1Input, options = {}) => {
+  const v1Styles = normalizeV1Input(v1Input);
+
+  const mappingProfile = resolveMappingProfile(options.mappingProfile);
+  const colorModel = options.colorModel ?? "hsl";
+  const v2Style =
+    options.v2 ?? convertV1ToV2(v1Styles, { mappingProfile, colorModel });
+  const v1Swatches = resolveV1Swatches(v1Styles, mappingProfile, colorModel);
+  const v2Swatches = resolveV2Swatches(v2Style);
+
+  const ids = getAllV2Ids().filter(
+    (id) => options.allIds || v1Swatches.has(id) || v2Swatches.has(id)
+  );
+
+  const height = LAYOUT.headerHeight + ids.length * LAYOUT.rowHeight + 16;
+  const title = options.title ?? "V1 to V2 swatch sheet";
+
+  const rows = ids.map((id, index) => {
+    const y = LAYOUT.headerHeight + index * LAYOUT.rowHeight;
+    const v1Swatch = completeSwatch(id, v1Swatches.get(id));
+    const v2Swatch = completeSwatch(id, v2Swatches.get(id));
+    const marker = swatchesDiffer(v1Swatch, v2Swatch)
+      ? `<text x="${LAYOUT.markerX}" y="${y + 26}" font-family="sans-serif" font-size="16" fill="#d93025" text-anchor="end">≠</text>`
+      : "";
+
+    return (
+      `<g>` +
+      (index % 2 === 0
+        ? `<rect x="0" y="${y}" width="${LAYOUT.width}" height="${LAYOUT.rowHeight}" fill="#000000" opacity="0.04"/>`
+        : "") +
+      `<text x="${LAYOUT.idX}" y="${y + 25}" font-family="monospace" font-size="12" fill="#202124">${escapeXml(id)}</text>` +
+      renderSwatch(v1Swatch, LAYOUT.v1X, y) +
+      renderSwatch(v2Swatch, LAYOUT.v2X, y) +
+      marker +
+      `</g>`
+    );
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${LAYOUT.width}" height="${height}" viewBox="0 0 ${LAYOUT.width} ${height}">`,
+    `<rect width="100%" height="100%" fill="#ffffff"/>`,
+    `<text x="${LAYOUT.idX}" y="28" font-family="sans-serif" font-size="18" font-weight="bold" fill="#202124">${escapeXml(title)}</text>`,
+    `<text x="${LAYOUT.idX}" y="52" font-family="sans-serif" font-size="12" fill="#5f6368">Feature ID (variant: ${escapeXml(v2Style.variant ?? "light")})</text>`,
+    `<text x="${LAYOUT.v1X}" y="52" font-family="sans-serif" font-size="12" fill="#5f6368">V1</text>`,
+    `<text x="${LAYOUT.v2X}" y="52" font-family="sans-serif" font-size="12" fill="#5f6368">V2</text>`,
+    ...rows,
+    `</svg>`,
+    "",
+  ].join("\n");
+};
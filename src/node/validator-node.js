@@ -25,7 +25,13 @@ const initializeValidator = async () => {
   }
 
   // Initialize AJV
-  ajvInstance = new Ajv({ allErrors: true, verbose: true });
+  // multipleOfPrecision lets alpha values such as 0.07 pass multipleOf 0.01
+  // despite floating-point division error
+  ajvInstance = new Ajv({
+    allErrors: true,
+    verbose: true,
+    multipleOfPrecision: 8,
+  });
 
   // Load schema from new location
   try {
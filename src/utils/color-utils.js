@@ -3,6 +3,8 @@
  * Handles HSL adjustments and color normalization
  */
 
+import { cssNamedColors } from "./css-named-colors.js";
+
 /**
  * Converts hex color to HSL
  * @param {string} hex - Hex color string (#RRGGBB)
@@ -133,16 +135,52 @@ export function applyGamma(baseColor, gamma) {
 }
 
 /**
- * Applies V1 lightness and saturation adjustments to a base color
+ * Resolves a V1 hue styler to an HSL hue angle
+ * V1 hue is an RGB hex string whose hue replaces the hue of the base color.
+ * Greyscale hue colors carry no hue and leave the base hue unchanged.
+ * @param {number} value - Current hue (0-360)
+ * @param {string} hue - V1 hue value (#RRGGBB)
+ * @returns {number} Resulting hue (0-360)
+ */
+const applyHueComponent = (value, hue) => {
+  if (hue === undefined || hue === null) return value;
+  const { h, s } = hexToHsl(normalizeHex(hue));
+  return s === 0 ? value : h;
+};
+
+/**
+ * Applies V1 lightness, saturation and hue adjustments to a base color
+ * Hue is applied in the same HSL pass so a saturation boost on a greyscale
+ * base color picks up the requested hue. With the "oklch" or "lab" color
+ * model the adjustments run on perceptual lightness and relative chroma
+ * instead (see applyPerceptualAdjustments).
  * @param {string} baseColor - Base hex color (#RRGGBB)
  * @param {number|string} lightness - Lightness adjustment (-100 to 100)
  * @param {number|string} saturation - Saturation adjustment (-100 to 100)
+ * @param {string} [hue] - V1 hue as an RGB hex string (#RRGGBB)
+ * @param {string} [colorModel="hsl"] - Color model (see COLOR_MODELS)
  * @returns {string} Adjusted hex color (#RRGGBB)
  */
-export function applyHslAdjustments(baseColor, lightness, saturation) {
+export function applyHslAdjustments(
+  baseColor,
+  lightness,
+  saturation,
+  hue,
+  colorModel = "hsl"
+) {
   const normalized = normalizeHex(baseColor);
+  if (colorModel !== "hsl") {
+    return applyPerceptualAdjustments(
+      normalized,
+      lightness,
+      saturation,
+      hue,
+      colorModel
+    );
+  }
   let { h, s, l } = hexToHsl(normalized);
 
+  h = applyHueComponent(h, hue);
   s = applyHslComponent(s, saturation);
   l = applyHslComponent(l, lightness);
 
@@ -150,55 +188,227 @@ export function applyHslAdjustments(baseColor, lightness, saturation) {
 }
 
 /**
- * Normalizes hex color to 6-digit format (#RRGGBB)
- * @param {string} hex - Hex color string (may be 3 or 6 digits)
- * @returns {string} Normalized 6-digit hex color (#RRGGBB)
+ * Checks if a V1 invert_lightness styler value is enabled
+ * @param {boolean|string|undefined} value - V1 invert_lightness value
+ * @returns {boolean} True if lightness should be inverted
  */
-export const normalizeHex = (hex) => {
-  if (!hex || typeof hex !== "string") {
-    return "#000000";
-  }
+export const isInvertLightness = (value) => value === true || value === "true";
+
+/**
+ * Inverts the lightness of a hex color, keeping hue and saturation
+ * Matches V1 invert_lightness, which maps lightness L to 100 - L
+ * @param {string} baseColor - Base hex color (#RRGGBB)
+ * @returns {string} Inverted hex color (#RRGGBB)
+ */
+export function invertLightness(baseColor) {
+  const { h, s, l } = hexToHsl(normalizeHex(baseColor));
+  return hslToHex(h, s, 100 - l);
+}
 
-  let normalized = hex.trim().toLowerCase();
+/**
+ * Rounds an alpha value to the 0-1 range in steps of 0.01 (the V2 alpha precision)
+ * @param {number} alpha - Alpha value
+ * @returns {number} Rounded alpha
+ */
+const roundAlpha = (alpha) =>
+  Math.round(Math.max(0, Math.min(1, alpha)) * 100) / 100;
 
-  // Remove # if present
-  if (normalized.startsWith("#")) {
-    normalized = normalized.slice(1);
-  }
+/**
+ * Parses a CSS number or percentage (percentages are scaled to `percentScale`)
+ * @param {string} value - Number or percentage string
+ * @param {number} percentScale - Value that 100% maps to
+ * @returns {number} Parsed number (NaN if invalid)
+ */
+const parseComponent = (value, percentScale) => {
+  const trimmed = value.trim();
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?%?$/.test(trimmed)) return NaN;
+  return trimmed.endsWith("%")
+    ? (parseFloat(trimmed) / 100) * percentScale
+    : parseFloat(trimmed);
+};
+
+/**
+ * Degrees per unit of the CSS angle units
+ * @type {Readonly<Object.<string, number>>}
+ */
+const HUE_UNITS = Object.freeze({
+  deg: 1,
+  grad: 0.9,
+  rad: 180 / Math.PI,
+  turn: 360,
+});
 
-  // Handle 3-digit hex
-  if (normalized.length === 3) {
-    normalized = normalized
+/**
+ * Parses a CSS hue (a number of degrees or an angle in deg, grad, rad or turn)
+ * @param {string} value - Hue string
+ * @returns {number} Hue in degrees (0-360, NaN if invalid)
+ */
+const parseHue = (value) => {
+  const [, number, unit] = value.trim().match(/^(.*?)(deg|grad|rad|turn)?$/);
+  if (number.endsWith("%")) return NaN;
+
+  const degrees = parseComponent(number, 0) * (HUE_UNITS[unit] ?? 1);
+  return ((degrees % 360) + 360) % 360;
+};
+
+/**
+ * Parses a hex color with optional alpha (#RGB, #RGBA, #RRGGBB, #RRGGBBAA)
+ * @param {string} value - Lowercase color string
+ * @returns {{hex: string, alpha: number|null}|null} Parsed color or null
+ */
+const parseHexColor = (value) => {
+  let digits = value.startsWith("#") ? value.slice(1) : value;
+  if (!/^[0-9a-f]+$/.test(digits)) return null;
+
+  if (digits.length === 3 || digits.length === 4) {
+    digits = digits
       .split("")
       .map((char) => char + char)
       .join("");
   }
+  if (digits.length !== 6 && digits.length !== 8) return null;
+
+  return {
+    hex: `#${digits.slice(0, 6)}`,
+    alpha:
+      digits.length === 8 ? roundAlpha(parseInt(digits.slice(6), 16) / 255) : null,
+  };
+};
 
-  // Ensure 6 digits and validate hex characters
-  if (normalized.length !== 6 || !/^[0-9a-f]{6}$/.test(normalized)) {
-    return "#000000";
+/**
+ * Parses a CSS named color ("navy", "rebeccapurple", "transparent", ...)
+ * @param {string} value - Lowercase color string
+ * @returns {{hex: string, alpha: number|null}|null} Parsed color or null
+ */
+const parseNamedColor = (value) => {
+  if (value === "transparent") return { hex: "#000000", alpha: 0 };
+  return Object.hasOwn(cssNamedColors, value)
+    ? { hex: cssNamedColors[value], alpha: null }
+    : null;
+};
+
+/**
+ * Splits the arguments of a CSS color function
+ * Accepts the legacy comma syntax ("12, 34, 56, 0.5") and the modern space
+ * syntax with an optional slash-separated alpha ("12 34 56 / 50%")
+ * @param {string} body - Text between the parentheses
+ * @returns {string[]|null} Three or four arguments, or null if malformed
+ */
+const splitFunctionArgs = (body) => {
+  if (body.includes(",")) {
+    const args = body.split(",").map((arg) => arg.trim());
+    return (args.length === 3 || args.length === 4) && !body.includes("/")
+      ? args
+      : null;
+  }
+
+  const [channels, alpha, ...rest] = body.split("/");
+  const args = channels.trim().split(" ");
+  if (rest.length > 0 || args.length !== 3) return null;
+  return alpha === undefined ? args : [...args, alpha.trim()];
+};
+
+/**
+ * Parses rgb()/rgba()/hsl()/hsla() color notation
+ * @param {string} value - Lowercase color string with collapsed whitespace
+ * @returns {{hex: string, alpha: number|null}|null} Parsed color or null
+ */
+const parseFunctionalColor = (value) => {
+  const match = value.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+  if (!match) return null;
+
+  const [, name, body] = match;
+  const args = splitFunctionArgs(body);
+  if (!args) return null;
+
+  const alpha = args.length === 4 ? parseComponent(args[3], 1) : null;
+  if (Number.isNaN(alpha)) return null;
+
+  let hex;
+  if (name.startsWith("rgb")) {
+    const channels = args.slice(0, 3).map((arg) => parseComponent(arg, 255));
+    if (channels.some(Number.isNaN)) return null;
+    hex = `#${channels
+      .map((channel) =>
+        Math.round(Math.max(0, Math.min(255, channel)))
+          .toString(16)
+          .padStart(2, "0")
+      )
+      .join("")}`;
+  } else {
+    const h = parseHue(args[0]);
+    const sat = parseComponent(args[1], 100);
+    const light = parseComponent(args[2], 100);
+    if ([h, sat, light].some(Number.isNaN)) return null;
+    hex = hslToHex(
+      h,
+      Math.max(0, Math.min(100, sat)),
+      Math.max(0, Math.min(100, light))
+    );
   }
 
-  return `#${normalized}`;
+  return { hex, alpha: alpha === null ? null : roundAlpha(alpha) };
+};
+
+/**
+ * Parses a V1 color string into its hex color and alpha
+ * Supports hex colors with or without alpha (#RGB, #RGBA, #RRGGBB, #RRGGBBAA),
+ * CSS named colors and rgb()/rgba()/hsl()/hsla() in both the comma and the
+ * space/slash syntax
+ * @param {string} value - Color string
+ * @returns {{hex: string, alpha: number|null}|null} Hex color (#RRGGBB) and alpha
+ * (0-1 in steps of 0.01, null when the color has no alpha component), or null if invalid
+ */
+export const parseColor = (value) => {
+  if (!value || typeof value !== "string") return null;
+
+  const normalized = value
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/\s*([(),/])\s*/g, "$1");
+  return (
+    parseHexColor(normalized) ??
+    parseNamedColor(normalized) ??
+    parseFunctionalColor(normalized)
+  );
 };
 
+/**
+ * Normalizes a color to 6-digit hex format (#RRGGBB)
+ * Any alpha component is dropped; use parseColor to read it. Unparseable
+ * colors fall back to black, so check V1 input with parseColor first.
+ * @param {string} hex - Color string (see parseColor)
+ * @returns {string} Normalized 6-digit hex color (#RRGGBB)
+ */
+export const normalizeHex = (hex) => parseColor(hex)?.hex ?? "#000000";
+
 /**
  * Extracts color from V1 styler object, applying HSL adjustments if present
  * When an explicit color is present in the styler, HSL adjustments from the same styler object
  * are applied to modify the explicit color. External HSL adjustments (from feature-level rules)
  * are then applied after styler-level adjustments.
  * @param {Object} styler - V1 styler object
- * @param {Object} externalAdjustments - Optional external HSL adjustments to apply {saturation?: number, lightness?: number}
+ * @param {Object} externalAdjustments - Optional external HSL adjustments to apply {saturation?: number, lightness?: number, hue?: string, invertLightness?: boolean}
+ * @param {string} [colorModel="hsl"] - Color model of the adjustments (see COLOR_MODELS)
  * @returns {string|null} Hex color string (#RRGGBB) or null if no color specified and no HSL adjustments
  */
-export const extractColor = (styler, externalAdjustments = null) => {
+export const extractColor = (
+  styler,
+  externalAdjustments = null,
+  colorModel = "hsl"
+) => {
   const hasExplicitColor = styler?.color !== undefined && styler.color !== null;
   const hasHslAdjustments =
-    styler?.lightness !== undefined || styler?.saturation !== undefined;
+    styler?.lightness !== undefined ||
+    styler?.saturation !== undefined ||
+    styler?.hue !== undefined;
   const hasExternalAdjustments =
     externalAdjustments &&
     (externalAdjustments.saturation !== undefined ||
-      externalAdjustments.lightness !== undefined);
+      externalAdjustments.lightness !== undefined ||
+      externalAdjustments.hue !== undefined ||
+      externalAdjustments.invertLightness !== undefined);
 
   if (!hasExplicitColor && !hasHslAdjustments && !hasExternalAdjustments) {
     return null;
@@ -218,10 +428,16 @@ export const extractColor = (styler, externalAdjustments = null) => {
   const isPureWhite = color === "#ffffff";
   const isPureBlackOrWhite = isPureBlack || isPureWhite;
 
-  // Apply HSL adjustments from the same styler object to the explicit color
+  // Apply HSL adjustments (including hue) from the same styler object to the explicit color
   if (hasHslAdjustments) {
     // Apply saturation adjustment - in V1, adding saturation to greyscale colors makes them colorful
-    color = applyHslAdjustments(color, styler.lightness, styler.saturation);
+    color = applyHslAdjustments(
+      color,
+      styler.lightness,
+      styler.saturation,
+      styler.hue,
+      colorModel
+    );
   }
 
   // Apply external HSL adjustments (from feature-level rules) after styler-level adjustments
@@ -232,9 +448,509 @@ export const extractColor = (styler, externalAdjustments = null) => {
     color = applyHslAdjustments(
       color,
       externalAdjustments.lightness,
-      externalAdjustments.saturation
+      externalAdjustments.saturation,
+      externalAdjustments.hue,
+      colorModel
     );
   }
 
+  // invert_lightness from the same styler or an inherited feature-level rule is applied
+  // once, after all other adjustments
+  const shouldInvert =
+    isInvertLightness(styler.invert_lightness) ||
+    (hasExternalAdjustments &&
+      (!isPureBlackOrWhite || hasHslAdjustments) &&
+      externalAdjustments.invertLightness === true);
+  if (shouldInvert) {
+    color = invertLightness(color);
+  }
+
   return color;
 };
+
+/**
+ * Converts a hex color to RGB components
+ * @param {string} hex - Color string (see parseColor)
+ * @returns {{r: number, g: number, b: number}} RGB values (0-255)
+ */
+export const hexToRgb = (hex) => {
+  const normalized = normalizeHex(hex);
+  return {
+    r: parseInt(normalized.slice(1, 3), 16),
+    g: parseInt(normalized.slice(3, 5), 16),
+    b: parseInt(normalized.slice(5, 7), 16),
+  };
+};
+
+/**
+ * Converts RGB components to a hex color
+ * Components are rounded and clamped to 0-255
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {string} Hex color string (#rrggbb)
+ */
+export const rgbToHex = (r, g, b) =>
+  `#${[r, g, b]
+    .map((c) =>
+      Math.round(Math.max(0, Math.min(255, c)))
+        .toString(16)
+        .padStart(2, "0")
+    )
+    .join("")}`;
+
+/**
+ * Converts an sRGB component to linear light
+ * @param {number} c - sRGB component (0-255)
+ * @returns {number} Linear component (0-1)
+ */
+const srgbToLinear = (c) => {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+};
+
+/**
+ * Converts a linear light component to sRGB
+ * @param {number} v - Linear component (0-1)
+ * @returns {number} sRGB component (0-255, unrounded)
+ */
+const linearToSrgb = (v) => {
+  const c = Math.max(0, Math.min(1, v));
+  return (c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055) * 255;
+};
+
+/**
+ * Blends a color with partial opacity over a background color
+ * @param {string} foreground - Foreground color (see parseColor)
+ * @param {string} background - Background color (see parseColor)
+ * @param {number} alpha - Foreground opacity (0-1)
+ * @returns {string} Blended hex color (#rrggbb)
+ */
+export const blendColors = (foreground, background, alpha) => {
+  const fg = hexToRgb(foreground);
+  const bg = hexToRgb(background);
+  return rgbToHex(
+    fg.r * alpha + bg.r * (1 - alpha),
+    fg.g * alpha + bg.g * (1 - alpha),
+    fg.b * alpha + bg.b * (1 - alpha)
+  );
+};
+
+/**
+ * Gets the WCAG relative luminance of a color
+ * @param {string} hex - Color string (see parseColor)
+ * @returns {number} Relative luminance (0-1)
+ */
+export const getRelativeLuminance = (hex) => {
+  const { r, g, b } = hexToRgb(hex);
+  return (
+    0.2126 * srgbToLinear(r) +
+    0.7152 * srgbToLinear(g) +
+    0.0722 * srgbToLinear(b)
+  );
+};
+
+/**
+ * Gets the WCAG contrast ratio between two colors
+ * @param {string} a - Color string (see parseColor)
+ * @param {string} b - Color string (see parseColor)
+ * @returns {number} Contrast ratio (1-21)
+ */
+export const getContrastRatio = (a, b) => {
+  const la = getRelativeLuminance(a);
+  const lb = getRelativeLuminance(b);
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+};
+
+/**
+ * Linear RGB matrices simulating full (severity 1) color vision deficiencies
+ * (Machado, Oliveira and Fernandes, 2009)
+ * @type {Readonly<Object.<string, number[][]>>}
+ */
+const CVD_MATRICES = Object.freeze({
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998],
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.01182, 0.04294, 0.968881],
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.3039],
+  ],
+});
+
+/**
+ * Color vision deficiencies simulateColorVisionDeficiency supports
+ * @type {readonly string[]}
+ */
+export const COLOR_VISION_DEFICIENCIES = Object.freeze(Object.keys(CVD_MATRICES));
+
+/**
+ * Simulates how a color looks with a color vision deficiency
+ * @param {string} hex - Color string (see parseColor)
+ * @param {string} deficiency - 'protanopia', 'deuteranopia' or 'tritanopia'
+ * @returns {string} Simulated hex color (#rrggbb)
+ */
+export const simulateColorVisionDeficiency = (hex, deficiency) => {
+  const matrix = CVD_MATRICES[deficiency];
+  if (!matrix) {
+    throw new Error(`Unknown color vision deficiency "${deficiency}"`);
+  }
+
+  const { r, g, b } = hexToRgb(hex);
+  const linear = [srgbToLinear(r), srgbToLinear(g), srgbToLinear(b)];
+  const [sr, sg, sb] = matrix.map((row) =>
+    linearToSrgb(row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2])
+  );
+  return rgbToHex(sr, sg, sb);
+};
+
+/**
+ * Converts a hex color to CIELAB (D65 white point)
+ * @param {string} hex - Color string (see parseColor)
+ * @returns {{l: number, a: number, b: number}} CIELAB values (l 0-100)
+ */
+export const hexToLab = (hex) => {
+  const { r, g, b } = hexToRgb(hex);
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+  const y = 0.2126729 * lr + 0.7151522 * lg + 0.072175 * lb;
+  const z = (0.0193339 * lr + 0.119192 * lg + 0.9503041 * lb) / 1.08883;
+
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+};
+
+/**
+ * Gets the perceptual difference between two colors (CIEDE2000)
+ * Around 2 is just noticeable side by side; around 10 and below, colors are
+ * hard to tell apart at a glance
+ * @param {string} a - Color string (see parseColor)
+ * @param {string} b - Color string (see parseColor)
+ * @returns {number} Delta E (0 for identical colors)
+ */
+export const getColorDifference = (a, b) => {
+  const lab1 = hexToLab(a);
+  const lab2 = hexToLab(b);
+  const rad = Math.PI / 180;
+
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cMean7 = ((c1 + c2) / 2) ** 7;
+  const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + 25 ** 7)));
+
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+  const c1p = Math.hypot(a1, lab1.b);
+  const c2p = Math.hypot(a2, lab2.b);
+  const hue = (bValue, aValue) =>
+    bValue === 0 && aValue === 0
+      ? 0
+      : (Math.atan2(bValue, aValue) / rad + 360) % 360;
+  const h1 = hue(lab1.b, a1);
+  const h2 = hue(lab2.b, a2);
+
+  const dL = lab2.l - lab1.l;
+  const dC = c2p - c1p;
+  let dh = 0;
+  if (c1p * c2p !== 0) {
+    dh = h2 - h1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(c1p * c2p) * Math.sin((dh / 2) * rad);
+
+  const lMean = (lab1.l + lab2.l) / 2;
+  const cMeanP = (c1p + c2p) / 2;
+  let hMean = h1 + h2;
+  if (c1p * c2p !== 0) {
+    hMean =
+      Math.abs(h1 - h2) <= 180
+        ? (h1 + h2) / 2
+        : (h1 + h2 + (h1 + h2 < 360 ? 360 : -360)) / 2;
+  }
+
+  const t =
+    1 -
+    0.17 * Math.cos((hMean - 30) * rad) +
+    0.24 * Math.cos(2 * hMean * rad) +
+    0.32 * Math.cos((3 * hMean + 6) * rad) -
+    0.2 * Math.cos((4 * hMean - 63) * rad);
+  const sl = 1 + (0.015 * (lMean - 50) ** 2) / Math.sqrt(20 + (lMean - 50) ** 2);
+  const sc = 1 + 0.045 * cMeanP;
+  const sh = 1 + 0.015 * cMeanP * t;
+  const cMeanP7 = cMeanP ** 7;
+  const rt =
+    -2 *
+    Math.sqrt(cMeanP7 / (cMeanP7 + 25 ** 7)) *
+    Math.sin(60 * Math.exp(-(((hMean - 275) / 25) ** 2)) * rad);
+
+  return Math.sqrt(
+    (dL / sl) ** 2 +
+      (dC / sc) ** 2 +
+      (dH / sh) ** 2 +
+      rt * (dC / sc) * (dH / sh)
+  );
+};
+
+/**
+ * Converts CIELAB (D65 white point) to linear RGB
+ * @param {number} l - Lightness (0-100)
+ * @param {number} a - a* component
+ * @param {number} b - b* component
+ * @returns {number[]} Linear RGB components (may fall outside 0-1)
+ */
+const labToLinearRgb = (l, a, b) => {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const finv = (t) => (t ** 3 > 216 / 24389 ? t ** 3 : (116 * t - 16) / (24389 / 27));
+
+  const x = finv(fx) * 0.95047;
+  const y = finv(fy);
+  const z = finv(fz) * 1.08883;
+
+  return [
+    3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+    -0.969266 * x + 1.8760108 * y + 0.041556 * z,
+    0.0556434 * x - 0.2040259 * y + 1.0572252 * z,
+  ];
+};
+
+/**
+ * Checks whether linear RGB components lie inside the sRGB gamut
+ * @param {number[]} linear - Linear RGB components
+ * @returns {boolean} True if every component is within 0-1 (with a small tolerance)
+ */
+const isInGamut = (linear) => linear.every((c) => c >= -1e-4 && c <= 1 + 1e-4);
+
+/**
+ * Converts CIELAB (D65 white point) to a hex color
+ * Out-of-gamut colors are clipped to sRGB
+ * @param {number} l - Lightness (0-100)
+ * @param {number} a - a* component
+ * @param {number} b - b* component
+ * @returns {string} Hex color string (#rrggbb)
+ */
+export const labToHex = (l, a, b) => {
+  const [r, g, bl] = labToLinearRgb(l, a, b).map(linearToSrgb);
+  return rgbToHex(r, g, bl);
+};
+
+/**
+ * Inverts the perceptual (CIELAB) lightness of a color, keeping its hue
+ * Lightness L* maps to 100 - L*; chroma is reduced only as far as needed to
+ * stay inside sRGB, so hue is preserved where plain HSL inversion would shift
+ * perceived brightness unevenly across hues
+ * @param {string} hex - Color string (see parseColor)
+ * @returns {string} Inverted hex color (#rrggbb)
+ */
+export const invertPerceptualLightness = (hex) => {
+  const { l, a, b } = hexToLab(hex);
+  const inverted = 100 - l;
+  const inGamut = (scale) =>
+    isInGamut(labToLinearRgb(inverted, a * scale, b * scale));
+
+  let scale = 1;
+  if (!inGamut(1)) {
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 20; i++) {
+      const mid = (low + high) / 2;
+      if (inGamut(mid)) low = mid;
+      else high = mid;
+    }
+    scale = low;
+  }
+  return labToHex(inverted, a * scale, b * scale);
+};
+
+/**
+ * Converts a hex color to OKLab
+ * @param {string} hex - Color string (see parseColor)
+ * @returns {{l: number, a: number, b: number}} OKLab values (l 0-1)
+ */
+const hexToOklab = (hex) => {
+  const { r, g, b } = hexToRgb(hex);
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  return {
+    l: 0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  };
+};
+
+/**
+ * Converts OKLab to linear RGB
+ * @param {number} l - Lightness (0-1)
+ * @param {number} a - a component
+ * @param {number} b - b component
+ * @returns {number[]} Linear RGB components (may fall outside 0-1)
+ */
+const oklabToLinearRgb = (l, a, b) => {
+  const lc = (l + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const mc = (l - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const sc = (l - 0.0894841775 * a - 1.291485548 * b) ** 3;
+
+  return [
+    4.0767416621 * lc - 3.3077115913 * mc + 0.2309699292 * sc,
+    -1.2684380046 * lc + 2.6097574011 * mc - 0.3413193965 * sc,
+    -0.0041960863 * lc - 0.7034186147 * mc + 1.707614701 * sc,
+  ];
+};
+
+/**
+ * Perceptual color models by name
+ * Each converts to and from its Lab form; lightnessScale maps its lightness
+ * to 0-100 and chromaLimit bounds the chroma search
+ * @type {Readonly<Object.<string, Object>>}
+ */
+const PERCEPTUAL_MODELS = Object.freeze({
+  oklch: Object.freeze({
+    toLab: hexToOklab,
+    toLinearRgb: oklabToLinearRgb,
+    lightnessScale: 100,
+    chromaLimit: 0.5,
+  }),
+  lab: Object.freeze({
+    toLab: hexToLab,
+    toLinearRgb: labToLinearRgb,
+    lightnessScale: 1,
+    chromaLimit: 200,
+  }),
+});
+
+/**
+ * Color models HSL adjustments can run in
+ * "hsl" matches the V1 HSL math; "oklch" and "lab" adjust perceptual lightness
+ * and chroma (OKLCH and CIE LCh)
+ * @type {readonly string[]}
+ */
+export const COLOR_MODELS = Object.freeze(["hsl", ...Object.keys(PERCEPTUAL_MODELS)]);
+
+/**
+ * Gets the perceptual color model of a name
+ * @param {string} colorModel - Color model name
+ * @returns {Object} Perceptual model (see PERCEPTUAL_MODELS)
+ */
+const getPerceptualModel = (colorModel) => {
+  const model = PERCEPTUAL_MODELS[colorModel];
+  if (!model) {
+    throw new Error(
+      `Unknown color model "${colorModel}" (expected one of: ${COLOR_MODELS.join(", ")})`
+    );
+  }
+  return model;
+};
+
+/**
+ * Converts a hex color to the LCh form of a perceptual model
+ * @param {string} hex - Color string (see parseColor)
+ * @param {Object} model - Perceptual model (see PERCEPTUAL_MODELS)
+ * @returns {{l: number, c: number, h: number}} Lightness (0-100), chroma and hue (0-360)
+ */
+const hexToLch = (hex, model) => {
+  const { l, a, b } = model.toLab(hex);
+  return {
+    l: l * model.lightnessScale,
+    c: Math.hypot(a, b),
+    h: ((Math.atan2(b, a) * 180) / Math.PI + 360) % 360,
+  };
+};
+
+/**
+ * Converts the LCh form of a perceptual model to linear RGB
+ * @param {number} l - Lightness (0-100)
+ * @param {number} c - Chroma
+ * @param {number} h - Hue (0-360)
+ * @param {Object} model - Perceptual model (see PERCEPTUAL_MODELS)
+ * @returns {number[]} Linear RGB components (may fall outside 0-1)
+ */
+const lchToLinearRgb = (l, c, h, model) => {
+  const rad = (h * Math.PI) / 180;
+  return model.toLinearRgb(
+    l / model.lightnessScale,
+    c * Math.cos(rad),
+    c * Math.sin(rad)
+  );
+};
+
+/**
+ * Finds the highest chroma inside sRGB at a lightness and hue
+ * @param {number} l - Lightness (0-100)
+ * @param {number} h - Hue (0-360)
+ * @param {Object} model - Perceptual model (see PERCEPTUAL_MODELS)
+ * @returns {number} Maximum chroma
+ */
+const getMaxChroma = (l, h, model) => {
+  let low = 0;
+  let high = model.chromaLimit;
+  for (let i = 0; i < 24; i++) {
+    const mid = (low + high) / 2;
+    if (isInGamut(lchToLinearRgb(l, mid, h, model))) low = mid;
+    else high = mid;
+  }
+  return low;
+};
+
+/**
+ * Applies V1 lightness, saturation and hue adjustments in a perceptual model
+ * Lightness moves perceptual lightness (0-100) by the adjustment, as HSL
+ * lightness would. Saturation works on chroma relative to the most saturated
+ * color of the same lightness and hue inside sRGB, so 100 is as vivid as the
+ * gamut allows, like HSL saturation. Hue takes the hue of the V1 hue color;
+ * greyscale hue colors leave the base hue unchanged.
+ * @param {string} baseColor - Base hex color (#RRGGBB)
+ * @param {number|string} lightness - Lightness adjustment (-100 to 100)
+ * @param {number|string} saturation - Saturation adjustment (-100 to 100)
+ * @param {string} [hue] - V1 hue as an RGB hex string (#RRGGBB)
+ * @param {string} colorModel - "oklch" or "lab"
+ * @returns {string} Adjusted hex color (#rrggbb)
+ */
+const applyPerceptualAdjustments = (
+  baseColor,
+  lightness,
+  saturation,
+  hue,
+  colorModel
+) => {
+  const model = getPerceptualModel(colorModel);
+  const base = hexToLch(baseColor, model);
+
+  let { h } = base;
+  if (hue !== undefined && hue !== null) {
+    const hueLch = hexToLch(normalizeHex(hue), model);
+    if (hueLch.c > model.chromaLimit * 1e-3) h = hueLch.h;
+  }
+
+  const baseMaxChroma = getMaxChroma(base.l, h, model);
+  const relativeChroma =
+    baseMaxChroma > 0 ? Math.min(100, (base.c / baseMaxChroma) * 100) : 0;
+  const l = applyHslComponent(base.l, lightness);
+  const c =
+    (applyHslComponent(relativeChroma, saturation) / 100) *
+    getMaxChroma(l, h, model);
+
+  const [r, g, b] = lchToLinearRgb(l, c, h, model).map(linearToSrgb);
+  return rgbToHex(r, g, b);
+};
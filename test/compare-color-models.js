@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Color model comparison harness
+ * Runs V1 lightness, saturation and hue adjustments in every color model (see
+ * COLOR_MODELS) over a file of reference color pairs and reports which model
+ * lands closest to the reference colors (mean CIEDE2000 difference)
+ *
+ * Usage: node test/compare-color-models.js [references.json]
+ *
+ * The reference file (test/fixtures/color-models/references.json by default)
+ * is a JSON array of pairs, each a base color, the V1 adjustments applied to it,
+ * the color V1 rendered and where that color comes from:
+ * [{ "base": "#4a90d9", "lightness": 30, "saturation": -20, "hue": "#ff0000",
+ *    "expected": "#a9c4e0", "label": "water, lightness 30", "source": "..." }]
+ *
+ * Outputs TAP format: a pair passes when the default model (hsl) lands within
+ * MAX_DIFFERENCE of the reference color; every model's result is listed. A
+ * model is only reported as the best fit when it leads by more than
+ * NOISE_DIFFERENCE
+ */
+
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import {
+  applyHslAdjustments,
+  getColorDifference,
+  parseColor,
+  COLOR_MODELS,
+} from "../src/utils/color-utils.js";
+
+const DEFAULT_REFERENCES = join(
+  dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "color-models",
+  "references.json"
+);
+
+/**
+ * Largest CIEDE2000 difference from a reference color that counts as a match
+ * (differences below about 2 are hard to see)
+ */
+const MAX_DIFFERENCE = 2;
+
+/**
+ * Largest CIEDE2000 difference between models that is treated as noise; a
+ * model is only named best when it leads every other model by more than this
+ */
+const NOISE_DIFFERENCE = 1;
+
+const DEFAULT_MODEL = COLOR_MODELS[0];
+
+/**
+ * Reads and checks the reference pairs
+ * @param {string} path - Reference file path
+ * @returns {Object[]} Reference pairs
+ */
+const readReferences = (path) => {
+  const references = JSON.parse(readFileSync(path, "utf8"));
+  if (!Array.isArray(references) || references.length === 0) {
+    throw new Error("The reference file must hold a non-empty array of pairs");
+  }
+
+  references.forEach((pair, i) => {
+    for (const key of ["base", "expected"]) {
+      if (!parseColor(pair?.[key])) {
+        throw new Error(`Pair ${i}: "${key}" must be a color`);
+      }
+    }
+  });
+  return references;
+};
+
+/**
+ * Gets the color difference of every model for one reference pair
+ * @param {Object} pair - Reference pair {base, lightness?, saturation?, hue?, expected}
+ * @returns {Object.<string, {color: string, difference: number}>} Results by model
+ */
+const compareModels = (pair) =>
+  Object.fromEntries(
+    COLOR_MODELS.map((model) => {
+      const color = applyHslAdjustments(
+        pair.base,
+        pair.lightness,
+        pair.saturation,
+        pair.hue,
+        model
+      );
+      return [model, { color, difference: getColorDifference(color, pair.expected) }];
+    })
+  );
+
+/**
+ * Picks the model with the smallest score when it leads by more than noise
+ * @param {Object.<string, number>} scores - Mean or per-pair difference by model
+ * @returns {string|null} Best model, or null when the models are within noise
+ */
+const pickBest = (scores) => {
+  const [best, ...others] = [...COLOR_MODELS].sort((a, b) => scores[a] - scores[b]);
+  return others.every((model) => scores[model] - scores[best] > NOISE_DIFFERENCE)
+    ? best
+    : null;
+};
+
+/**
+ * Formats a color difference for the report
+ * @param {number} difference - CIEDE2000 difference
+ * @returns {string} Difference with one decimal
+ */
+const formatDifference = (difference) => difference.toFixed(1);
+
+/**
+ * Main harness execution
+ */
+const run = () => {
+  const path = process.argv[2] ?? DEFAULT_REFERENCES;
+
+  let references;
+  try {
+    references = readReferences(path);
+  } catch (error) {
+    console.error(`${path}: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log("TAP version 13");
+  console.log(`1..${references.length}`);
+
+  const totals = Object.fromEntries(
+    COLOR_MODELS.map((model) => [model, { sum: 0, max: 0, wins: 0 }])
+  );
+  let failures = 0;
+
+  references.forEach((pair, i) => {
+    const results = compareModels(pair);
+    const best = pickBest(
+      Object.fromEntries(COLOR_MODELS.map((model) => [model, results[model].difference]))
+    );
+    if (best) totals[best].wins++;
+
+    const adjustments = ["lightness", "saturation", "hue"]
+      .filter((key) => pair[key] !== undefined)
+      .map((key) => `${key} ${pair[key]}`)
+      .join(", ");
+    const passes = results[DEFAULT_MODEL].difference <= MAX_DIFFERENCE;
+    if (!passes) failures++;
+    console.log(
+      `${passes ? "ok" : "not ok"} ${i + 1} - ${pair.label ?? pair.base} (${adjustments || "no adjustments"}) → ${pair.expected}`
+    );
+    if (pair.source) {
+      console.log(`#    source: ${pair.source}`);
+    }
+    for (const model of COLOR_MODELS) {
+      const { color, difference } = results[model];
+      totals[model].sum += difference;
+      totals[model].max = Math.max(totals[model].max, difference);
+      console.log(
+        `#    ${model.padEnd(6)}${color}  ΔE ${formatDifference(difference)}${model === best ? "  (best)" : ""}`
+      );
+    }
+  });
+
+  console.log("");
+  console.log(`# tests ${references.length}`);
+  console.log(`# pass  ${references.length - failures}`);
+  console.log(`# fail  ${failures}`);
+  for (const model of COLOR_MODELS) {
+    const { sum, max, wins } = totals[model];
+    console.log(
+      `# ${model.padEnd(6)}mean ΔE ${formatDifference(sum / references.length)}, max ΔE ${formatDifference(max)}, best for ${wins}`
+    );
+  }
+
+  const bestFit = pickBest(
+    Object.fromEntries(
+      COLOR_MODELS.map((model) => [model, totals[model].sum / references.length])
+    )
+  );
+  console.log(
+    bestFit
+      ? `# best fit: ${bestFit}`
+      : `# best fit: none (mean ΔE within ${formatDifference(NOISE_DIFFERENCE)} of each other)`
+  );
+
+  process.exit(failures > 0 ? 1 : 0);
+};
+
+run();
@@ -0,0 +1,956 @@
+#!/usr/bin/env node
+/**
+ * Offline behavior checks for the converter and its library features
+ * Each check exercises one behavior with small inline styles (the fixture
+ * corpus in validate-fixtures.js covers whole styles); outputs TAP format
+ */
+
+import assert from "node:assert/strict";
+import {
+  mkdtempSync,
+  mkdirSync,
+  writeFileSync,
+  rmSync,
+  readdirSync,
+  readFileSync,
+  symlinkSync,
+} from "fs";
+import { tmpdir } from "os";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { spawnSync } from "child_process";
+import {
+  convertV1ToV2,
+  convertV1ToV2WithReport,
+  convertV2ToV1,
+  normalizeV1Input,
+  serializeV2,
+  canonicalizeV2,
+  composeStyles,
+  composeStylesWithReport,
+  lintV2,
+  auditAccessibility,
+  fixContrast,
+  transformStyle,
+  generateVariantPair,
+} from "../src/node/converter-node.js";
+import { DROP_REASONS } from "../src/core/conversion-report.js";
+import { expandGlob } from "../src/node/file-utils.js";
+import { materializeStyles } from "../src/core/style-materializer.js";
+import { getAllV2Ids } from "../src/core/mapping.js";
+import { resolveMappingProfile } from "../src/core/mapping-profiles.js";
+import { getValidProperties } from "../src/core/feature-properties.js";
+import { renderSwatchSheet } from "../src/node/swatch-sheet.js";
+import {
+  hexToHsl,
+  hslToHex,
+  getContrastRatio,
+} from "../src/utils/color-utils.js";
+
+const ROAD = "infrastructure.roadNetwork.road";
+
+const TEST_DIR = dirname(fileURLToPath(import.meta.url));
+const V1_FIXTURES_DIR = join(TEST_DIR, "fixtures", "v1");
+const LINT_CLI = join(TEST_DIR, "..", "src", "node", "lint-cli.js");
+const CONVERT_CLI = join(TEST_DIR, "..", "src", "node", "cli.js");
+
+/**
+ * Reads the V1 fixture corpus
+ * @returns {Array<[string, string]>} Fixture file names and contents
+ */
+const readV1Fixtures = () =>
+  readdirSync(V1_FIXTURES_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => [file, readFileSync(join(V1_FIXTURES_DIR, file), "utf8")]);
+
+/**
+ * Finds the style entry of a feature ID in a V2 document
+ * @param {Object} v2Json - V2 style object
+ * @param {string} id - V2 feature ID
+ * @returns {Object|undefined} Style entry
+ */
+const findStyle = (v2Json, id) => v2Json.styles.find((style) => style.id === id);
+
+/**
+ * Lints a V2 style and lists the problems as "rule id property" strings
+ * @param {Object} v2Json - V2 style object
+ * @param {Object} [config] - Lint config
+ * @returns {string[]} Problems
+ */
+const lintSummary = (v2Json, config) =>
+  lintV2(v2Json, config).problems.map(({ rule, id, property }) =>
+    [rule, id, property].filter(Boolean).join(" ")
+  );
+
+/**
+ * Creates a temporary directory tree of files, runs a callback in it and
+ * removes it again
+ * @param {Object.<string, string>} files - File contents by "/"-separated path
+ * @param {Function} callback - Called with the directory path
+ * @returns {*} Callback result
+ */
+const withTempTree = (files, callback) => {
+  const dir = mkdtempSync(join(tmpdir(), "gmaps-features-"));
+  try {
+    for (const [file, content] of Object.entries(files)) {
+      mkdirSync(join(dir, file, ".."), { recursive: true });
+      writeFileSync(join(dir, file), content);
+    }
+    return callback(dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Runs a CLI script in a directory
+ * @param {string} script - Script path
+ * @param {string} dir - Working directory
+ * @param {string[]} args - Arguments
+ * @returns {Object} spawnSync result {status, stdout, stderr}
+ */
+const runCli = (script, dir, args) =>
+  spawnSync(process.execPath, [script, ...args], { cwd: dir, encoding: "utf8" });
+
+/**
+ * Behavior checks, in order; each throws (an assertion error) when it fails
+ * @type {Array<{name: string, run: Function}>}
+ */
+const checks = [
+  {
+    name: "hue in the same styler as an explicit color is applied",
+    run: () => {
+      const v2 = convertV1ToV2([
+        {
+          featureType: "water",
+          elementType: "geometry",
+          stylers: [{ color: "#808080" }, { hue: "#00ff00" }, { saturation: 60 }],
+        },
+      ]);
+      assert.equal(findStyle(v2, "natural.water").geometry.fillColor, "#33cc33");
+    },
+  },
+  {
+    name: "an inherited hue applies to explicit colors as it does to default colors",
+    run: () => {
+      const v2 = convertV1ToV2([
+        { stylers: [{ hue: "#00ff00" }] },
+        { featureType: "water", stylers: [{ color: "#4a90d9" }] },
+        { featureType: "landscape", stylers: [{ saturation: 10 }] },
+      ]);
+      assert.equal(hexToHsl(findStyle(v2, "natural.water").geometry.fillColor).h, 120);
+      assert.equal(hexToHsl(findStyle(v2, "natural.land").geometry.fillColor).h, 120);
+    },
+  },
+  {
+    name: "convertV2ToV1 round-trips colors and visibility",
+    run: () => {
+      const v1 = [
+        { featureType: "water", elementType: "geometry", stylers: [{ color: "#4a90d9" }] },
+        {
+          featureType: "road.highway",
+          elementType: "labels.text.fill",
+          stylers: [{ color: "#333333" }],
+        },
+        { featureType: "poi", stylers: [{ visibility: "off" }] },
+      ];
+      const roundTrip = convertV2ToV1(convertV1ToV2(v1));
+      assert.ok(roundTrip.every((rule) => Array.isArray(rule.stylers)));
+      assert.deepEqual(
+        convertV1ToV2(roundTrip, { materialize: true }),
+        convertV1ToV2(v1, { materialize: true })
+      );
+    },
+  },
+  {
+    name: "convertV2ToV1 maps values shared by the root IDs back to featureType all",
+    run: () => {
+      const fixtures = readV1Fixtures().filter(([file]) =>
+        ["dark-night.json", "retro-weights.json"].includes(file)
+      );
+      assert.equal(fixtures.length, 2);
+      for (const [, v1] of fixtures) {
+        const v2 = convertV1ToV2(v1, { onWarning: () => {} });
+        assert.ok(findStyle(v2, "infrastructure"));
+        const roundTrip = convertV2ToV1(v2);
+        assert.equal(roundTrip[0].featureType, "all");
+        assert.deepEqual(
+          canonicalizeV2(convertV1ToV2(roundTrip, { onWarning: () => {} })),
+          canonicalizeV2(v2)
+        );
+      }
+
+      const unshared = convertV2ToV1({
+        styles: [{ id: "infrastructure", label: { textFillColor: "#ff0000" } }],
+      });
+      assert.deepEqual(unshared, []);
+    },
+  },
+  {
+    name: "convertV2ToV1 keeps child overrides after their parent",
+    run: () => {
+      const v1 = convertV2ToV1({
+        variant: "light",
+        styles: [
+          { id: `${ROAD}.highway`, geometry: { fillColor: "#0000ff" } },
+          { id: ROAD, geometry: { fillColor: "#00ff00" } },
+        ],
+      });
+      assert.deepEqual(
+        v1.map((rule) => rule.featureType),
+        ["road", "road.highway"]
+      );
+      const v2 = convertV1ToV2(v1, { materialize: true });
+      assert.equal(findStyle(v2, `${ROAD}.arterial`).geometry.fillColor, "#00ff00");
+      assert.equal(findStyle(v2, `${ROAD}.highway`).geometry.fillColor, "#0000ff");
+    },
+  },
+  {
+    name: "conversion report records writes, overrides and drop reasons",
+    run: () => {
+      const { report } = convertV1ToV2WithReport(
+        [
+          { featureType: "water", stylers: [{ color: "#4a90d9" }, { shadow: 1 }] },
+          { featureType: "unknown.type", stylers: [{ color: "#000000" }] },
+          { featureType: "water", elementType: "geometry", stylers: [{ color: "not-a-color" }] },
+          { featureType: "water", elementType: "geometry", stylers: [{ color: "#111111" }] },
+        ],
+        { onWarning: () => {} }
+      );
+      const [first, unmapped, invalid, last] = report.rules;
+
+      assert.deepEqual(first.dropped, [
+        { reason: DROP_REASONS.UNSUPPORTED_STYLER, styler: "shadow" },
+      ]);
+      assert.ok(
+        first.written.some(
+          (entry) =>
+            entry.id === "natural.water" &&
+            entry.property === "geometry.fillColor" &&
+            entry.value === "#4a90d9"
+        )
+      );
+      assert.deepEqual(first.overridden, [
+        { id: "natural.water", property: "geometry.fillColor", value: "#4a90d9", by: 3 },
+      ]);
+      assert.deepEqual(unmapped.dropped, [
+        { reason: DROP_REASONS.UNMAPPED_FEATURE_TYPE, styler: "color" },
+      ]);
+      assert.deepEqual(invalid.dropped, [
+        { reason: DROP_REASONS.INVALID_COLOR, styler: "color" },
+      ]);
+      assert.deepEqual(last.written, [
+        { id: "natural.water", property: "geometry.fillColor", value: "#111111" },
+      ]);
+    },
+  },
+  {
+    name: "conversion report records label colors a feature does not support",
+    run: () => {
+      const { report } = convertV1ToV2WithReport([
+        { featureType: "water", elementType: "labels.icon", stylers: [{ color: "#ff0000" }] },
+      ]);
+      assert.deepEqual(report.rules[0].written, []);
+      assert.deepEqual(report.rules[0].dropped, [
+        {
+          reason: DROP_REASONS.INVALID_LABEL_PROPERTY,
+          styler: "color",
+          property: "label.pinFillColor",
+          ids: [
+            "natural.water",
+            "natural.water.lake",
+            "natural.water.ocean",
+            "natural.water.other",
+            "natural.water.river",
+          ],
+        },
+      ]);
+    },
+  },
+  {
+    name: "expandGlob only recurses for ** and skips node_modules and .git",
+    run: () =>
+      withTempTree(
+        Object.fromEntries(
+          [
+            "a.json",
+            "styles/b.json",
+            "styles/night/c.json",
+            "node_modules/pkg/d.json",
+            ".git/e.json",
+          ].map((file) => [file, "[]"])
+        ),
+        (dir) => {
+          const relative = (pattern) =>
+            expandGlob(join(dir, pattern)).map((path) =>
+              path.slice(dir.length + 1).split("\\").join("/")
+            );
+          assert.deepEqual(relative("*.json"), ["a.json"]);
+          assert.deepEqual(relative("*/*.json"), ["styles/b.json"]);
+          assert.deepEqual(relative("**/*.json"), [
+            "a.json",
+            "styles/b.json",
+            "styles/night/c.json",
+          ]);
+        }
+      ),
+  },
+  {
+    name: "expandGlob skips broken symlinks and walks rooted patterns from /",
+    run: () =>
+      withTempTree({ "a.json": "[]" }, (dir) => {
+        symlinkSync(join(dir, "missing.json"), join(dir, "broken.json"));
+        assert.deepEqual(expandGlob(join(dir, "*.json")), [join(dir, "a.json")]);
+        assert.ok(expandGlob("/*").every((path) => path.startsWith("/")));
+      }),
+  },
+  {
+    name: "gmaps-convert writes --out-dir files and keeps going after a failing input",
+    run: () => {
+      const v1 = [{ featureType: "water", stylers: [{ color: "#4a90d9" }] }];
+      return withTempTree(
+        {
+          "styles/a.json": JSON.stringify(v1),
+          "styles/b.json": "not json",
+          "styles/c.json": JSON.stringify(v1),
+        },
+        (dir) => {
+          const convert = (...args) => runCli(CONVERT_CLI, dir, args);
+
+          const converted = convert("--out-dir", "out", "styles/[ab].json");
+          assert.equal(converted.status, 1);
+          assert.match(converted.stderr, /styles\/b\.json: /);
+          assert.equal(
+            readFileSync(join(dir, "out", "a.json"), "utf8"),
+            serializeV2(convertV1ToV2(v1))
+          );
+
+          // A directory in the way makes writing a.json fail; c.json still converts
+          mkdirSync(join(dir, "blocked", "a.json"), { recursive: true });
+          const blocked = convert("--out-dir", "blocked", "styles/a.json", "styles/c.json");
+          assert.equal(blocked.status, 1);
+          assert.match(blocked.stderr, /styles\/a\.json: EISDIR/);
+          assert.ok(readFileSync(join(dir, "blocked", "c.json"), "utf8").length > 0);
+
+          assert.equal(convert("styles/a.json").status, 0);
+          const pair = convert("--variant-pair", "styles/a.json");
+          const expected = generateVariantPair(v1);
+          assert.equal(pair.status, 0);
+          assert.deepEqual(JSON.parse(pair.stdout), {
+            light: canonicalizeV2(expected.light),
+            dark: canonicalizeV2(expected.dark),
+          });
+          assert.ok(
+            pair.stdout.includes(serializeV2(expected.dark).trimEnd().replace(/\n/g, "\n  "))
+          );
+          assert.equal(convert("styles/a.json", "styles/b.json").status, 2);
+          assert.equal(convert("--no-such-option").status, 2);
+        }
+      );
+    },
+  },
+  {
+    name: "normalizeV1Input skips empty arrays before the style array in a snippet",
+    run: () => {
+      const rule = { featureType: "water", stylers: [{ color: "#000000" }] };
+      assert.deepEqual(
+        normalizeV1Input(`init([], [${JSON.stringify(rule)}]);`),
+        [rule]
+      );
+      assert.deepEqual(normalizeV1Input("new google.maps.StyledMapType([]);"), []);
+    },
+  },
+  {
+    name: "mapping profile elementType overrides apply to elementType all rules",
+    run: () => {
+      const v1 = [
+        { featureType: "road.highway", stylers: [{ color: "#ff0000" }] },
+        { featureType: "road.arterial", stylers: [{ lightness: -50 }] },
+      ];
+      const v2 = convertV1ToV2(v1, {
+        mappingProfile: { elementTypes: { geometry: "geometry.strokeColor" } },
+      });
+      assert.deepEqual(findStyle(v2, `${ROAD}.highway`).geometry, {
+        strokeColor: "#ff0000",
+        visible: true,
+      });
+      assert.deepEqual(Object.keys(findStyle(v2, `${ROAD}.arterial`).geometry), [
+        "strokeColor",
+      ]);
+    },
+  },
+  {
+    name: "HSL-only elementType all rules adjust every default geometry color",
+    run: () => {
+      const v2 = convertV1ToV2([{ featureType: "road.highway", stylers: [{ lightness: -20 }] }]);
+      assert.deepEqual(Object.keys(findStyle(v2, `${ROAD}.highway`).geometry), [
+        "fillColor",
+        "strokeColor",
+      ]);
+    },
+  },
+  {
+    name: "zoomSimplified turns simplified visibility into zoom-keyed visibility",
+    run: () => {
+      const v1 = [
+        { featureType: "road", elementType: "labels", stylers: [{ visibility: "simplified" }] },
+        { featureType: "poi", stylers: [{ visibility: "off" }] },
+      ];
+      const v2 = convertV1ToV2(v1, { zoomSimplified: true });
+      assert.deepEqual(findStyle(v2, "infrastructure.roadNetwork").label, {
+        visible: { z00: false, z12: true },
+      });
+      assert.deepEqual(findStyle(v2, "infrastructure.roadNetwork.road.highway").label, {
+        visible: { z00: false, z08: true },
+      });
+      assert.deepEqual(findStyle(v2, "infrastructure.roadNetwork.road.local").label, {
+        visible: { z00: false, z15: true },
+      });
+      assert.equal(findStyle(v2, "infrastructure.roadNetwork").geometry, undefined);
+      assert.equal(findStyle(v2, "pointOfInterest").label.visible, false);
+
+      const scalar = convertV1ToV2(v1);
+      assert.equal(findStyle(scalar, "infrastructure.roadNetwork.road.local").label.visible, true);
+    },
+  },
+  {
+    name: "resolved mapping profiles from callers are validated",
+    run: () => {
+      const faithful = resolveMappingProfile("faithful");
+      assert.equal(resolveMappingProfile(faithful), faithful);
+      assert.deepEqual(resolveMappingProfile({ ...faithful }), faithful);
+      assert.throws(
+        () =>
+          convertV1ToV2([], {
+            mappingProfile: {
+              featureTypeMap: { water: "natural.lava" },
+              elementTypeMap: faithful.elementTypeMap,
+            },
+          }),
+        /unknown V2 id "natural.lava"/
+      );
+    },
+  },
+  {
+    name: "minimize drops inherited repeats without changing the rendered style",
+    run: () => {
+      const road = [{ featureType: "road", stylers: [{ color: "#336699" }] }];
+      const minimized = convertV1ToV2(road, { minimize: true });
+      assert.ok(minimized.styles.length < convertV1ToV2(road).styles.length);
+      assert.equal(findStyle(minimized, `${ROAD}.highway`), undefined);
+
+      for (const [file, text] of readV1Fixtures()) {
+        const options = { onWarning: () => {} };
+        assert.deepEqual(
+          materializeStyles(convertV1ToV2(text, { ...options, minimize: true }).styles),
+          convertV1ToV2(text, { ...options, materialize: true }).styles,
+          file
+        );
+      }
+    },
+  },
+  {
+    name: "materialize writes every V2 ID with every supported property",
+    run: () => {
+      const v2 = convertV1ToV2(
+        [{ featureType: "road", elementType: "geometry.fill", stylers: [{ color: "#123456" }] }],
+        { materialize: true }
+      );
+      assert.deepEqual(
+        v2.styles.map((style) => style.id),
+        getAllV2Ids()
+      );
+      for (const style of v2.styles) {
+        for (const section of ["geometry", "label"]) {
+          assert.deepEqual(
+            Object.keys(style[section] ?? {}).sort(),
+            getValidProperties(style.id, section).sort(),
+            `${style.id} ${section}`
+          );
+        }
+      }
+      assert.equal(findStyle(v2, `${ROAD}.local`).geometry.fillColor, "#123456");
+    },
+  },
+  {
+    name: "materialize leaves colors out of hidden sections",
+    run: () => {
+      const v1 = [
+        { featureType: "poi", stylers: [{ visibility: "off" }] },
+        { featureType: "water", elementType: "geometry", stylers: [{ color: "#4a90d9" }] },
+      ];
+      const v2 = convertV1ToV2(v1, { materialize: true });
+      assert.deepEqual(findStyle(v2, "pointOfInterest.recreation.park").label, {
+        visible: false,
+        textFillOpacity: 1,
+        textStrokeOpacity: 1,
+      });
+      assert.equal(lintV2(v2).warningCount, 0);
+      assert.equal(findStyle(v2, "natural.water").geometry.fillColor, "#4a90d9");
+    },
+  },
+  {
+    name: "serializeV2 output does not depend on entry, key or hex case order",
+    run: () => {
+      const v2 = {
+        styles: [
+          {
+            id: `${ROAD}.highway`,
+            label: { textFillColor: "#ABCDEF" },
+            geometry: { fillColor: "#FF0000" },
+          },
+          { id: ROAD, geometry: { strokeColor: "#00ff00", fillColor: "#0000FF" } },
+        ],
+        variant: "light",
+      };
+      const reordered = { variant: "light", styles: [...v2.styles].reverse() };
+      const text = serializeV2(v2);
+
+      assert.equal(serializeV2(reordered), text);
+      assert.deepEqual(JSON.parse(text), canonicalizeV2(v2));
+      assert.deepEqual(
+        JSON.parse(text).styles.map((style) => style.id),
+        [ROAD, `${ROAD}.highway`]
+      );
+      assert.ok(text.includes('"#abcdef"') && text.endsWith("}\n"));
+    },
+  },
+  {
+    name: "composed variant is detected from the composed styles",
+    run: () => {
+      const base = [{ featureType: "landscape", stylers: [{ color: "#f5f5f5" }] }];
+      const darkRoad = [
+        { featureType: "road.highway", elementType: "geometry", stylers: [{ color: "#111111" }] },
+      ];
+      assert.equal(composeStyles([base, darkRoad]).variant, "light");
+      const darkLand = {
+        variant: "light",
+        styles: [{ id: "natural", geometry: { fillColor: "#1a1a1a" } }],
+      };
+      assert.equal(composeStyles([base, darkLand]).variant, "dark");
+    },
+  },
+  {
+    name: "composed backgroundColor follows the composed landscape fill",
+    run: () => {
+      const { result, report } = composeStylesWithReport([
+        [{ featureType: "landscape", stylers: [{ color: "#242f3e" }] }],
+        { variant: "light", styles: [{ id: "natural", geometry: { fillColor: "#fafafa" } }] },
+      ]);
+      assert.equal(result.backgroundColor, "#fafafa");
+      assert.equal(findStyle(result, "natural.base")?.geometry?.fillColor, undefined);
+      assert.deepEqual(
+        report.layers[0].overridden.filter((entry) => !entry.id),
+        [{ property: "backgroundColor", value: "#242f3e", by: 1 }]
+      );
+      assert.deepEqual(
+        report.layers[1].won.filter((entry) => !entry.id),
+        [{ property: "backgroundColor", value: "#fafafa" }]
+      );
+    },
+  },
+  {
+    name: "a color-only V1 layer does not show what an earlier layer hid",
+    run: () => {
+      const hidden = [{ featureType: "poi", elementType: "labels", stylers: [{ visibility: "off" }] }];
+      const red = [
+        { featureType: "poi", elementType: "labels.text.fill", stylers: [{ color: "#ff0000" }] },
+      ];
+      const shown = [{ featureType: "poi", elementType: "labels", stylers: [{ visibility: "on" }] }];
+
+      assert.equal(findStyle(composeStyles([hidden, red]), "pointOfInterest").label.visible, false);
+      assert.equal(
+        findStyle(composeStyles([hidden, red]), "pointOfInterest").label.visible,
+        findStyle(convertV1ToV2([...hidden, ...red]), "pointOfInterest").label.visible
+      );
+      assert.equal(findStyle(composeStyles([hidden, shown]), "pointOfInterest").label.visible, true);
+    },
+  },
+  {
+    name: "a V2 layer clears backgroundColor and monochrome with null and false",
+    run: () => {
+      const result = composeStyles([
+        { variant: "light", backgroundColor: "#eeeeee", monochrome: true, styles: [] },
+        { variant: "light", backgroundColor: null, monochrome: false, styles: [] },
+      ]);
+      assert.deepEqual(result, { variant: "light", styles: [] });
+    },
+  },
+  {
+    name: "each lint rule flags its problem",
+    run: () => {
+      const hiddenRoad = { visible: false, fillColor: "#ff0000", strokeWidth: 2 };
+      assert.deepEqual(
+        lintSummary({
+          variant: "light",
+          styles: [
+            { id: ROAD, geometry: hiddenRoad },
+            { id: `${ROAD}.highway`, geometry: { visible: true } },
+            { id: "natural.water", geometry: { fillColor: "#0000ff" } },
+            { id: "natural.water", label: { pinFillColor: "#00ff00" } },
+          ],
+        }),
+        [
+          `hiddenSectionColor ${ROAD} geometry.fillColor`,
+          `hiddenStrokeWidth ${ROAD} geometry.strokeWidth`,
+          `hiddenParentContradiction ${ROAD}.highway geometry.visible`,
+          "duplicateId natural.water",
+          "invalidProperty natural.water label.pinFillColor",
+        ]
+      );
+    },
+  },
+  {
+    name: "lint config changes rule severities and rejects unknown rules",
+    run: () => {
+      const v2 = {
+        variant: "light",
+        styles: [{ id: ROAD, geometry: { visible: false, fillColor: "#ff0000" } }],
+      };
+      assert.deepEqual(
+        [lintV2(v2).warningCount, lintV2(v2).errorCount],
+        [1, 0]
+      );
+      const strict = lintV2(v2, { rules: { hiddenSectionColor: "error" } });
+      assert.deepEqual([strict.warningCount, strict.errorCount], [0, 1]);
+      assert.deepEqual(lintSummary(v2, { rules: { hiddenSectionColor: "off" } }), []);
+      assert.throws(() => lintV2(v2, { rules: { noSuchRule: "warn" } }), /Unknown lint rule/);
+      assert.throws(
+        () => lintV2(v2, { rules: { hiddenSectionColor: "loud" } }),
+        /Invalid severity/
+      );
+    },
+  },
+  {
+    name: "gmaps-lint exits 0 on warnings, 1 on errors and 2 on usage errors",
+    run: () =>
+      withTempTree(
+        {
+          "warn.json": JSON.stringify({
+            variant: "light",
+            styles: [{ id: ROAD, geometry: { visible: false, fillColor: "#ff0000" } }],
+          }),
+          "error.json": JSON.stringify({
+            variant: "light",
+            styles: [{ id: ROAD }, { id: ROAD }],
+          }),
+          "strict.json": JSON.stringify({ rules: { hiddenSectionColor: "error" } }),
+        },
+        (dir) => {
+          const lint = (...args) => runCli(LINT_CLI, dir, args);
+          const warned = lint("warn.json");
+          assert.equal(warned.status, 0);
+          assert.match(warned.stdout, /warn .*\[hiddenSectionColor\]/);
+          assert.equal(lint("error.json").status, 1);
+          assert.equal(lint("--config", "strict.json", "warn.json").status, 1);
+          assert.equal(lint("missing-*.json").status, 2);
+          assert.equal(lint("--no-such-option").status, 2);
+        }
+      ),
+  },
+  {
+    name: "accessibility audit checks zoom-keyed colors at each zoom key",
+    run: () => {
+      const v2 = {
+        variant: "light",
+        styles: [
+          { id: "natural.water", geometry: { fillColor: { z05: "#ffffff", z12: "#000000" } } },
+          {
+            id: "natural.water.ocean",
+            label: {
+              textFillColor: "#111111",
+              textStrokeColor: { z05: "#000000", z12: "#ffffff" },
+            },
+          },
+        ],
+      };
+      const ocean = auditAccessibility(v2).contrast.filter(
+        (entry) => entry.labelId === "natural.water.ocean"
+      );
+      assert.deepEqual(
+        ocean.map(({ property, zoom, color, background, passes }) => [
+          property,
+          zoom,
+          color,
+          background,
+          passes,
+        ]),
+        [
+          ["label.textFillColor", "z05", "#111111", "#ffffff", true],
+          ["label.textFillColor", "z12", "#111111", "#000000", false],
+          ["label.textStrokeColor", "z05", "#000000", "#ffffff", true],
+          ["label.textStrokeColor", "z12", "#ffffff", "#000000", true],
+        ]
+      );
+
+      const { result, changes } = fixContrast(v2, { properties: ["textFillColor"] });
+      assert.deepEqual(
+        changes
+          .filter(({ id }) => id === "natural.water.ocean")
+          .map(({ zoom, from }) => [zoom, from]),
+        [["z12", "#111111"]]
+      );
+      const fill = findStyle(result, "natural.water.ocean").label.textFillColor;
+      assert.equal(fill.z05, "#111111");
+      assert.ok(
+        auditAccessibility(result).contrast
+          .filter((entry) => entry.property === "label.textFillColor")
+          .every((entry) => entry.labelId !== "natural.water.ocean" || entry.passes)
+      );
+    },
+  },
+  {
+    name: "fixContrast keeps hue, logs each change and leaves readable halos alone",
+    run: () => {
+      const v2 = {
+        variant: "light",
+        styles: [
+          { id: "natural.water", geometry: { fillColor: "#ffffff" } },
+          {
+            id: "natural.water.ocean",
+            label: { textFillColor: "#6699cc", textStrokeColor: "#ffffff" },
+          },
+        ],
+      };
+      const { result, changes } = fixContrast(v2);
+      const label = findStyle(result, "natural.water.ocean").label;
+
+      assert.equal(label.textStrokeColor, "#ffffff");
+      assert.deepEqual(
+        changes.filter(({ id }) => id === "natural.water.ocean"),
+        [
+          {
+            id: "natural.water.ocean",
+            property: "label.textFillColor",
+            from: "#6699cc",
+            to: label.textFillColor,
+            surface: "water",
+            background: "#ffffff",
+            ratioBefore: 3,
+            ratioAfter: Math.round(getContrastRatio(label.textFillColor, "#ffffff") * 100) / 100,
+            reached: true,
+          },
+        ]
+      );
+      const { h, s } = hexToHsl(label.textFillColor);
+      assert.deepEqual([h, s], [210, 50]);
+      assert.equal(findStyle(v2, "natural.water.ocean").label.textFillColor, "#6699cc");
+    },
+  },
+  {
+    name: "fixContrast moves halos away from their text fill",
+    run: () => {
+      const { result, changes } = fixContrast({
+        variant: "light",
+        styles: [
+          { id: "natural.water", geometry: { fillColor: "#ffffff" } },
+          {
+            id: "natural.water.ocean",
+            label: { textFillColor: "#222222", textStrokeColor: "#444444" },
+          },
+        ],
+      });
+      const label = findStyle(result, "natural.water.ocean").label;
+      const halo = changes.find(
+        ({ id, property }) => id === "natural.water.ocean" && property === "label.textStrokeColor"
+      );
+
+      assert.equal(label.textFillColor, "#222222");
+      assert.equal(halo.background, "#222222");
+      assert.ok(getContrastRatio(label.textStrokeColor, "#222222") >= 4.5);
+    },
+  },
+  {
+    name: "fixContrast stops at the best color when the target is unreachable",
+    run: () => {
+      const { changes } = fixContrast(
+        {
+          variant: "light",
+          styles: [
+            { id: "natural.water", geometry: { fillColor: "#777777" } },
+            { id: "natural.water.ocean", label: { textFillColor: "#6699cc" } },
+          ],
+        },
+        { target: 21, properties: ["textFillColor"] }
+      );
+      const ocean = changes.find(({ id }) => id === "natural.water.ocean");
+      assert.equal(ocean.reached, false);
+      assert.equal(ocean.to, "#000000");
+      assert.ok(ocean.ratioAfter > ocean.ratioBefore);
+    },
+  },
+  {
+    name: "transformStyle targets only the matched subtree",
+    run: () => {
+      const v2 = {
+        variant: "light",
+        backgroundColor: "#ffffff",
+        styles: [
+          { id: "natural", geometry: { fillColor: "#336699" } },
+          { id: ROAD, geometry: { fillColor: "#336699" } },
+        ],
+      };
+      const grayscale = transformStyle(v2, [{ op: "grayscale", target: "natural.*" }]);
+
+      assert.equal(findStyle(grayscale, "natural").geometry.fillColor, "#336699");
+      assert.equal(findStyle(grayscale, ROAD).geometry.fillColor, "#336699");
+      assert.equal(findStyle(grayscale, "natural.water").geometry.fillColor, "#666666");
+      assert.ok(grayscale.styles.every((style) => !style.id.startsWith(`${ROAD}.`)));
+      assert.ok(
+        grayscale.styles
+          .filter((style) => style.id.startsWith("natural."))
+          .every((style) =>
+            Object.values(style.label ?? {}).every((color) => hexToHsl(color).s === 0)
+          )
+      );
+      assert.equal(grayscale.backgroundColor, "#ffffff");
+      assert.equal(v2.styles.length, 2);
+
+      assert.equal(
+        findStyle(transformStyle(v2, [{ op: "darken", value: 20, target: "natural" }]), "natural")
+          .geometry.fillColor,
+        hslToHex(210, 50, 20)
+      );
+      assert.throws(
+        () => transformStyle(v2, [{ op: "grayscale", target: "nature" }]),
+        /Unknown transform target "nature"/
+      );
+      assert.throws(() => transformStyle(v2, [{ op: "blur" }]), /Unknown transform "blur"/);
+      assert.throws(() => transformStyle(v2, [{ op: "darken" }]), /requires a numeric value/);
+    },
+  },
+  {
+    name: "transformStyle leaves hidden sections and unchanged colors alone",
+    run: () => {
+      const v2 = convertV1ToV2([
+        { featureType: "poi", stylers: [{ visibility: "off" }] },
+        { featureType: "water", elementType: "geometry", stylers: [{ color: "#4a90d9" }] },
+      ]);
+      const desaturated = transformStyle(v2, [{ op: "desaturate", value: 40 }]);
+      assert.deepEqual(findStyle(desaturated, "pointOfInterest"), findStyle(v2, "pointOfInterest"));
+      assert.equal(lintV2(desaturated).warningCount, 0);
+
+      const grayscale = transformStyle({ variant: "light", styles: [] }, [{ op: "grayscale" }]);
+      const { label } = findStyle(grayscale, "infrastructure");
+      assert.equal(label.textFillColor, "#636363");
+      assert.equal(label.textStrokeColor, undefined);
+    },
+  },
+  {
+    name: "untargeted inverting transforms flip the variant and backgroundColor",
+    run: () => {
+      const v2 = {
+        variant: "light",
+        backgroundColor: "#ffffff",
+        styles: [{ id: "natural", geometry: { fillColor: "#336699" } }],
+      };
+      const inverted = transformStyle(v2, [{ op: "invert" }]);
+      assert.equal(inverted.variant, "dark");
+      assert.equal(inverted.backgroundColor, "#000000");
+      assert.equal(findStyle(inverted, "natural").geometry.fillColor, "#6699cc");
+
+      const targeted = transformStyle(v2, [{ op: "invert", target: "natural" }]);
+      assert.equal(targeted.variant, "light");
+      assert.equal(targeted.backgroundColor, "#ffffff");
+      assert.equal(transformStyle(v2, [{ op: "invert" }, { op: "invert" }]).variant, "light");
+    },
+  },
+  {
+    name: "generateVariantPair keeps the input and flips the counterpart",
+    run: () => {
+      const v2 = { styles: [{ id: "natural.water", geometry: { fillColor: "#4a90d9" } }] };
+      const { light, dark } = generateVariantPair(v2);
+      assert.deepEqual(light, { ...v2, variant: "light" });
+      assert.equal(dark.variant, "dark");
+      assert.equal(v2.variant, undefined);
+
+      const water = findStyle(dark, "natural.water").geometry.fillColor;
+      assert.ok(hexToHsl(water).l < hexToHsl("#4a90d9").l);
+      assert.ok(Math.abs(hexToHsl(water).h - hexToHsl("#4a90d9").h) < 15);
+
+      const darkNight = readV1Fixtures().find(([file]) => file === "dark-night.json")[1];
+      const pair = generateVariantPair(darkNight, { onWarning: () => {} });
+      assert.deepEqual(pair.dark, convertV1ToV2(darkNight, { onWarning: () => {} }));
+      assert.equal(pair.light.variant, "light");
+      assert.ok(
+        hexToHsl(pair.light.backgroundColor).l > hexToHsl(pair.dark.backgroundColor).l
+      );
+    },
+  },
+  {
+    name: "renderSwatchSheet resolves V1 colors like the converter and marks differences",
+    run: () => {
+      const v1 = [
+        { stylers: [{ lightness: -40 }] },
+        { featureType: "water", stylers: [{ color: "#4a90d9" }] },
+        { featureType: "landscape", elementType: "geometry", stylers: [{ gamma: 2 }] },
+      ];
+      /**
+       * Gets the SVG row of a feature ID
+       * @param {string} svg - Swatch sheet
+       * @param {string} id - V2 feature ID
+       * @returns {string} Row markup
+       */
+      const row = (svg, id) => svg.split("\n").find((line) => line.includes(`>${id}</text>`));
+
+      const svg = renderSwatchSheet(v1);
+      assert.ok(svg.startsWith("<svg "));
+      assert.equal(renderSwatchSheet(v1), svg);
+
+      const water = row(svg, "natural.water");
+      assert.equal(water.match(/<rect [^>]*rx="3" fill="#0f2a48"/g)?.length, 2);
+      const land = row(svg, "natural.land");
+      assert.equal(land.match(/<rect [^>]*rx="3" fill="#c7c7b3"/g)?.length, 2);
+      assert.ok(!land.includes("≠"));
+
+      const v2 = convertV1ToV2(v1);
+      findStyle(v2, "natural.land").geometry.fillColor = "#9b9b7d";
+      assert.ok(row(renderSwatchSheet(v1, { v2 }), "natural.land").includes("≠"));
+    },
+  },
+];
+
+/**
+ * Formats a failed check as a TAP YAML block
+ * @param {Error} error - Thrown error
+ * @returns {string} YAML block
+ */
+const formatFailure = (error) => {
+  const lines = [`  ---`, `  message: ${JSON.stringify(error.message)}`];
+  if (error.actual !== undefined || error.expected !== undefined) {
+    lines.push(`  expected: ${JSON.stringify(error.expected)}`);
+    lines.push(`  actual: ${JSON.stringify(error.actual)}`);
+  }
+  lines.push(`  ...`);
+  return lines.join("\n");
+};
+
+/**
+ * Main test execution
+ */
+const runChecks = async () => {
+  console.log("TAP version 13");
+  console.log(`1..${checks.length}`);
+
+  const failures = [];
+  for (const [i, check] of checks.entries()) {
+    try {
+      await check.run();
+      console.log(`ok ${i + 1} - ${check.name}`);
+    } catch (error) {
+      console.log(`not ok ${i + 1} - ${check.name}`);
+      console.log(formatFailure(error));
+      failures.push(check.name);
+    }
+  }
+
+  console.log("");
+  console.log(`# tests ${checks.length}`);
+  console.log(`# pass  ${checks.length - failures.length}`);
+  console.log(`# fail  ${failures.length}`);
+
+  process.exit(failures.length > 0 ? 1 : 0);
+};
+
+runChecks();
@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+/**
+ * Offline test suite for V1 to V2 conversion
+ * Converts the checked-in V1 fixtures, validates them against the schema,
+ * compares them with their V2 snapshots and checks styling similarity; outputs TAP format
+ *
+ * Record mode (--record) rewrites the V2 snapshots from the current converter.
+ * When a Snazzy Maps API key is available it first refreshes the corpus with the
+ * current popular styles (see --count in validate-conversions.js).
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import { readdirSync, readFileSync, writeFileSync, existsSync } from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join, basename } from "path";
+import {
+  convertV1ToV2,
+  normalizeV1Input,
+  serializeV2,
+} from "../src/node/converter-node.js";
+import {
+  validateV2,
+  formatValidationErrors,
+} from "../src/node/validator-node.js";
+import {
+  getV1ExampleStyles,
+  loadV1JsonFromStyle,
+} from "./validate-conversions.js";
+import {
+  extractV1Styling,
+  extractV2Styling,
+  compareStyling,
+  formatErrorYaml,
+} from "./validate-similarity.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const V1_FIXTURES_DIR = join(__dirname, "fixtures", "v1");
+const V2_SNAPSHOTS_DIR = join(__dirname, "fixtures", "v2");
+const ROOT_PROPERTIES = ["variant", "backgroundColor", "monochrome"];
+
+/**
+ * Lists fixture names (V1 fixture file names without extension), sorted
+ * @returns {string[]} Fixture names
+ */
+const listFixtures = () =>
+  readdirSync(V1_FIXTURES_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => basename(file, ".json"))
+    .sort();
+
+/**
+ * Reads a JSON file
+ * @param {string} path - File path
+ * @returns {*} Parsed JSON
+ */
+const readJson = (path) => JSON.parse(readFileSync(path, "utf8"));
+
+/**
+ * Writes a JSON file with two-space indentation and a trailing newline
+ * @param {string} path - File path
+ * @param {*} value - Value to write
+ */
+const writeJson = (path, value) =>
+  writeFileSync(path, `${JSON.stringify(value, null, 2)}\n`);
+
+/**
+ * Gets the V2 snapshot path for a fixture
+ * @param {string} name - Fixture name
+ * @returns {string} Snapshot path
+ */
+const getSnapshotPath = (name) => join(V2_SNAPSHOTS_DIR, `${name}.json`);
+
+/**
+ * Flattens V2 JSON into a map of root properties and "id|section.property" values
+ * @param {Object} v2Json - V2 style JSON object
+ * @returns {Map<string, *>} Flattened values
+ */
+const flattenV2 = (v2Json) => {
+  const flat = new Map();
+
+  for (const property of ROOT_PROPERTIES) {
+    if (v2Json?.[property] !== undefined) {
+      flat.set(property, v2Json[property]);
+    }
+  }
+
+  for (const style of v2Json?.styles ?? []) {
+    for (const section of ["geometry", "label"]) {
+      for (const [property, value] of Object.entries(style[section] ?? {})) {
+        flat.set(`${style.id}|${section}.${property}`, value);
+      }
+    }
+  }
+
+  return flat;
+};
+
+/**
+ * Compares converted V2 JSON with its snapshot
+ * @param {Object} expected - Snapshot V2 JSON
+ * @param {Object} actual - Converted V2 JSON
+ * @returns {Array} Differences in the format used by formatErrorYaml
+ */
+const compareSnapshot = (expected, actual) => {
+  const expectedFlat = flattenV2(expected);
+  const actualFlat = flattenV2(actual);
+  const keys = new Set([...expectedFlat.keys(), ...actualFlat.keys()]);
+  const differences = [];
+
+  for (const key of keys) {
+    const expectedValue = expectedFlat.get(key);
+    const actualValue = actualFlat.get(key);
+    if (JSON.stringify(expectedValue) === JSON.stringify(actualValue)) continue;
+
+    const [v2FeatureId, v2Property] = key.includes("|")
+      ? key.split("|")
+      : [undefined, key];
+    differences.push({
+      type: "snapshot",
+      v2FeatureId,
+      v2Property,
+      expected: expectedValue ?? null,
+      actual: actualValue ?? null,
+    });
+  }
+
+  return differences;
+};
+
+/**
+ * Converts a file name fragment into a fixture-safe slug
+ * @param {string} text - Text to slugify
+ * @returns {string} Lowercase slug
+ */
+const slugify = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Refreshes the V1 corpus with popular styles from Snazzy Maps
+ * Skipped when no API key is configured
+ * @returns {Promise<void>}
+ */
+const refreshCorpus = async () => {
+  const hasApiKey =
+    process.env.SNAZZY_MAPS_API_KEY ?? process.env.VITE_SNAZZY_MAPS_API_KEY;
+  if (!hasApiKey) {
+    console.log("# No Snazzy Maps API key set; keeping the existing V1 corpus");
+    return;
+  }
+
+  const styles = await getV1ExampleStyles();
+  for (const style of styles) {
+    try {
+      const v1Json = await loadV1JsonFromStyle(style);
+      const name = `snazzy-${style.id}-${slugify(style.name ?? "style")}`;
+      writeJson(join(V1_FIXTURES_DIR, `${name}.json`), v1Json);
+      console.log(`# Fetched ${name}`);
+    } catch (error) {
+      console.log(`# Skipped style ${style.id}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Rewrites the V2 snapshots of all fixtures from the current converter
+ * @returns {Promise<void>}
+ */
+const recordSnapshots = async () => {
+  await refreshCorpus();
+
+  for (const name of listFixtures()) {
+    try {
+      const v1Json = readJson(join(V1_FIXTURES_DIR, `${name}.json`));
+      const v2Json = convertV1ToV2(v1Json);
+      writeFileSync(getSnapshotPath(name), serializeV2(v2Json));
+      console.log(`# Recorded ${name}`);
+    } catch (error) {
+      console.log(`# Failed to record ${name}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+};
+
+/**
+ * Runs all checks for one fixture
+ * @param {string} name - Fixture name
+ * @returns {Promise<{message: string, differences: Array}|null>} Failure or null when the fixture passes
+ */
+const checkFixture = async (name) => {
+  const v1Json = normalizeV1Input(
+    readJson(join(V1_FIXTURES_DIR, `${name}.json`))
+  );
+
+  let v2Json;
+  try {
+    v2Json = convertV1ToV2(v1Json);
+  } catch (error) {
+    return { message: `Conversion error: ${error.message}`, differences: [] };
+  }
+
+  const validation = await validateV2(v2Json);
+  if (!validation.valid) {
+    return {
+      message: `Validation failed: ${formatValidationErrors(validation.errors)}`,
+      differences: [],
+    };
+  }
+
+  const snapshotPath = getSnapshotPath(name);
+  if (!existsSync(snapshotPath)) {
+    return {
+      message: "Missing V2 snapshot (run npm run test:record)",
+      differences: [],
+    };
+  }
+
+  const snapshotDifferences = compareSnapshot(readJson(snapshotPath), v2Json);
+  if (snapshotDifferences.length > 0) {
+    return {
+      message: `Found ${snapshotDifferences.length} snapshot difference(s)`,
+      differences: snapshotDifferences,
+    };
+  }
+
+  const stylingDifferences = compareStyling(
+    extractV1Styling(v1Json),
+    extractV2Styling(v2Json),
+    v1Json,
+    v2Json.variant
+  );
+  if (stylingDifferences.length > 0) {
+    return {
+      message: `Found ${stylingDifferences.length} styling difference(s)`,
+      differences: stylingDifferences,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Main test execution
+ */
+const runTests = async () => {
+  const fixtures = listFixtures();
+
+  if (fixtures.length === 0) {
+    console.error(`No V1 fixtures found in ${V1_FIXTURES_DIR}`);
+    process.exit(1);
+  }
+
+  console.log("TAP version 13");
+  console.log(`1..${fixtures.length}`);
+
+  let passCount = 0;
+  const failures = [];
+
+  for (let i = 0; i < fixtures.length; i++) {
+    const name = fixtures[i];
+    const testNumber = i + 1;
+
+    let failure;
+    try {
+      failure = await checkFixture(name);
+    } catch (error) {
+      failure = { message: `Test error: ${error.message}`, differences: [] };
+    }
+
+    if (failure) {
+      console.log(`not ok ${testNumber} - ${name}`);
+      console.log(formatErrorYaml(failure.message, failure.differences));
+      failures.push({ name, ...failure });
+    } else {
+      console.log(`ok ${testNumber} - ${name}`);
+      passCount++;
+    }
+  }
+
+  console.log("");
+  console.log(`# tests ${fixtures.length}`);
+  console.log(`# pass  ${passCount}`);
+  console.log(`# fail  ${failures.length}`);
+
+  if (failures.length > 0) {
+    console.log("");
+    console.log("# Failed tests:");
+    for (const failure of failures) {
+      console.log(`#   - ${failure.name}: ${failure.message}`);
+    }
+    process.exit(1);
+  }
+
+  process.exit(0);
+};
+
+const run = process.argv.includes("--record") ? recordSnapshots : runTests;
+
+run().catch((error) => {
+  console.error(`Fatal error: ${error.message}`);
+  console.error(error.stack);
+  process.exit(1);
+});
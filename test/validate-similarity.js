@@ -17,6 +17,7 @@ import {
 import {
   hexToHsl,
   normalizeHex,
+  parseColor,
   applyHslAdjustments,
 } from "../src/utils/color-utils.js";
 import {
@@ -45,7 +46,7 @@ const mergeStylers = (stylers) => Object.assign({}, ...stylers);
  * @param {Array} v1Json - V1 style JSON array
  * @returns {Object} Extracted styling organized by featureType/elementType, with rule indices
  */
-const extractV1Styling = (v1Json) => {
+export const extractV1Styling = (v1Json) => {
   const styling = {};
 
   if (!Array.isArray(v1Json)) {
@@ -72,7 +73,7 @@ const extractV1Styling = (v1Json) => {
     const mergedStyler = mergeStylers(stylers);
 
     styling[key].rules.push({
-      color: mergedStyler.color ? normalizeHex(mergedStyler.color) : null,
+      color: parseColor(mergedStyler.color)?.hex ?? null,
       visibility: mergedStyler.visibility,
       weight: mergedStyler.weight,
       saturation: mergedStyler.saturation,
@@ -89,7 +90,7 @@ const extractV1Styling = (v1Json) => {
  * @param {Object} v2Json - V2 style JSON object
  * @returns {Object} Extracted styling organized by feature ID
  */
-const extractV2Styling = (v2Json) => {
+export const extractV2Styling = (v2Json) => {
   const styling = {};
 
   if (!v2Json?.styles || !Array.isArray(v2Json.styles)) {
@@ -777,7 +778,7 @@ const isValidProperty = (section, property, v2Id) => {
  * @param {string} v2Variant - V2 variant from conversion
  * @returns {Array} Array of differences found
  */
-const compareStyling = (v1Styling, v2Styling, v1Json, v2Variant) => {
+export const compareStyling = (v1Styling, v2Styling, v1Json, v2Variant) => {
   const differences = [];
 
   const expectedVariant = detectVariant(v1Json);
@@ -1177,15 +1178,20 @@ const compareStyling = (v1Styling, v2Styling, v1Json, v2Variant) => {
  * @param {Array} differences - Styling differences
  * @returns {string} YAML-formatted error block
  */
-const formatErrorYaml = (message, differences = []) => {
+export const formatErrorYaml = (message, differences = []) => {
   const lines = [`  ---`, `  message: ${JSON.stringify(message)}`];
 
   if (differences.length > 0) {
     lines.push(`  differences:`);
     for (const diff of differences) {
       lines.push(`    - type: ${JSON.stringify(diff.type)}`);
-      lines.push(`      v1FeatureType: ${JSON.stringify(diff.v1FeatureType)}`);
-      lines.push(`      v1ElementType: ${JSON.stringify(diff.v1ElementType)}`);
+
+      if (diff.v1FeatureType !== undefined) {
+        lines.push(`      v1FeatureType: ${JSON.stringify(diff.v1FeatureType)}`);
+      }
+      if (diff.v1ElementType !== undefined) {
+        lines.push(`      v1ElementType: ${JSON.stringify(diff.v1ElementType)}`);
+      }
 
       if (diff.v2FeatureId) {
         lines.push(`      v2FeatureId: ${JSON.stringify(diff.v2FeatureId)}`);
@@ -1345,8 +1351,14 @@ const runTests = async () => {
   process.exit(0);
 };
 
-runTests().catch((error) => {
-  console.error(`Fatal error: ${error.message}`);
-  console.error(error.stack);
-  process.exit(1);
-});
+// Run tests only if this file is executed directly (not imported)
+const isMainModule =
+  process.argv[1] && process.argv[1].includes("validate-similarity.js");
+
+if (isMainModule) {
+  runTests().catch((error) => {
+    console.error(`Fatal error: ${error.message}`);
+    console.error(error.stack);
+    process.exit(1);
+  });
+}